@@ -0,0 +1,107 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Fingerprinted file names for cache busting and the manifest behind the asset() template helper.
+ *
+ * In production the CSS, JS and chosen assets are written with a hash of their contents in the file name, so browsers
+ * never use a stale copy after a deploy. Templates link them through asset(name), which knows the current names.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const buildCache = require('./cache');
+
+const HASH_LENGTH = 8;
+
+module.exports.fingerprint = fingerprint;
+module.exports.hashFile = hashFile;
+module.exports.createManifest = createManifest;
+
+
+/**
+ * @typedef {Object} AssetManifest
+ * @property {{}} files - Map of the plain output path to the written output path, both relative to the baseUrl.
+ * @property {string} key - Hash of the files and pagesKey, changes whenever a name or anything else every page
+ * depends on changes.
+ * @property {function} url - The asset(name) helper, returns the full url of an output.
+ */
+
+/**
+ * Adds the hash to a file name, before the extension.
+ * @param {string} fileName - File name, may include sub-dirs, e.g. 'lib/theme.js'.
+ * @param {string} contentHash - Hex hash of the file contents.
+ * @return {string} - The fingerprinted name, e.g. 'lib/theme.0beec7b5.js'.
+ */
+function fingerprint(fileName, contentHash) {
+    let ext = path.posix.extname(fileName);
+    return `${fileName.slice(0, fileName.length - ext.length)}.${contentHash.slice(0, HASH_LENGTH)}${ext}`;
+}
+
+/**
+ * Hashes the contents of a file without reading it all into memory, for copied assets that may be large.
+ * @param {string} filePath - Path of the file.
+ * @return {Promise.<string>} - Hex hash.
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        let sha = crypto.createHash('sha1');
+        let reader = fs.createReadStream(filePath);
+        reader.on('error', reject);
+        reader.on('data', (chunk) => sha.update(chunk));
+        reader.on('end', () => resolve(sha.digest('hex')));
+    });
+}
+
+/**
+ * Creates the manifest from the outputs. Names given to asset() are the plain output paths, e.g. 'css/dark.css', or
+ * just the file name if only one output has it, e.g. 'dark.css'.
+ * @param {[]} entries - List of [plainPath, writtenPath], relative to the baseUrl.
+ * @param {string} baseUrl - The site baseUrl.
+ * @param {string} [pagesKey] - Hash of anything else that goes into every page, e.g. the HTML post-processing.
+ * @return {AssetManifest} - The manifest.
+ */
+function createManifest(entries, baseUrl, pagesKey) {
+    let files = {};
+    entries.forEach(([plainPath, writtenPath]) => {
+        files[plainPath] = writtenPath;
+    });
+    let url = (name) => {
+        let writtenPath = files[name];
+        if (writtenPath === undefined) {
+            let matches = Object.keys(files).filter((plainPath) => plainPath.endsWith('/' + name));
+            if (matches.length > 1) {
+                throw new Error(`asset('${name}') could be any of ${matches.join(', ')}, use the full path.`);
+            }
+            if (matches.length == 0) {
+                throw new Error(`asset('${name}') is not an output of the css, js or assets dirs.`);
+            }
+            writtenPath = files[matches[0]];
+        }
+        return `${baseUrl}/${writtenPath}`;
+    };
+    return {
+        files: files,
+        key: buildCache.hash(JSON.stringify(files), pagesKey),
+        url: url
+    };
+}
@@ -0,0 +1,267 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Build manifest for incremental builds.
+ *
+ * Every output file is recorded with a key, a hash of everything that went into it (config, source, templates and
+ * any files it includes). If the key of an output is unchanged and the file still exists the work is skipped.
+ * Outputs that are re-rendered are only written if their contents changed.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const t3hfs = require('t3h-fs-helper');
+
+// Bump to throw away old manifests when the manifest format or the output of the generator changes.
+const CACHE_VERSION = 4;
+const DEFAULT_CACHE_FILE = '.t3hpub-cache.json';
+
+module.exports.load = load;
+module.exports.save = save;
+module.exports.hash = hash;
+module.exports.dependencyKey = dependencyKey;
+module.exports.previousDeps = previousDeps;
+module.exports.getPost = getPost;
+module.exports.setPost = setPost;
+module.exports.getPage = getPage;
+module.exports.setPage = setPage;
+module.exports.isFresh = isFresh;
+module.exports.filterWrites = filterWrites;
+module.exports.record = record;
+module.exports.DEFAULT_CACHE_FILE = DEFAULT_CACHE_FILE;
+
+
+/**
+ * @typedef {Object} Manifest
+ * @property {number} version - CACHE_VERSION of the generator that wrote it.
+ * @property {{}} posts - Map of post file path to {key, frontMatter, content, ...}, what loadPosts got from the
+ * markdown.
+ * @property {{}} pages - Map of page output path to what the page set about itself when rendered, e.g. {noindex}.
+ * @property {{}} outputs - Map of output file path to {key, hash, deps}.
+ */
+
+/**
+ * @typedef {Object} BuildCache
+ * @property {string|boolean} file - Path of the cache file, false if caching is disabled.
+ * @property {string} section - Resolved output dir, each output dir has its own manifest within the file.
+ * @property {string} config - Hash of the config and mode, part of every key.
+ * @property {{}} stored - Everything read from the cache file, other sections are saved back untouched.
+ * @property {Manifest} previous - Manifest from the last build.
+ * @property {Manifest} next - Manifest of this build, only contains what this build used or wrote.
+ */
+
+/**
+ * Loads the manifest of the last build into the output dir. A missing or broken cache file means a full build.
+ * @param {{}} site - Site config, site.cacheFile is the path of the cache file, false disables caching.
+ * @param {boolean} test - Test mode flag, test and production output differ.
+ * @param {string} [key] - Anything else every output depends on, e.g. the hash of the plugin code.
+ * @return {Promise.<BuildCache>} - The cache, never rejects.
+ */
+function load(site, test, key) {
+    let file = site.cacheFile === undefined ? DEFAULT_CACHE_FILE : site.cacheFile;
+    // The resolved dirs are added during the build, leave them out so that every build hashes the same.
+    let config = JSON.stringify(site, (key, value) => key == 'full' ? undefined : value);
+    let cache = {
+        file: file,
+        section: path.resolve(site.outputDir.dir),
+        config: hash(CACHE_VERSION, config, test, key || ''),
+        stored: {},
+        previous: emptyManifest(),
+        next: emptyManifest()
+    };
+    if (!file) return Promise.resolve(cache);
+
+    return t3hfs.read(file).then((data) => {
+        cache.stored = JSON.parse(data);
+        let previous = cache.stored[cache.section];
+        if (previous && previous.version == CACHE_VERSION) {
+            cache.previous = previous;
+        }
+        return cache;
+    }).catch(() => {
+        return cache;
+    });
+}
+
+/**
+ * Saves the manifest of this build. Should only be called once everything is written.
+ * @param {BuildCache} cache - The cache.
+ * @return {Promise} - Resolves when written.
+ */
+function save(cache) {
+    if (!cache.file) return Promise.resolve();
+    cache.stored[cache.section] = cache.next;
+    return t3hfs.write(path.dirname(cache.file), path.basename(cache.file), JSON.stringify(cache.stored));
+}
+
+/**
+ * @return {Manifest} - A manifest with nothing in it.
+ */
+function emptyManifest() {
+    return {
+        version: CACHE_VERSION,
+        posts: {},
+        pages: {},
+        outputs: {}
+    };
+}
+
+/**
+ * Hashes all the parts together.
+ * @param {...*} parts - Strings or anything that converts to a sensible string.
+ * @return {string} - Hex hash.
+ */
+function hash(...parts) {
+    let sha = crypto.createHash('sha1');
+    parts.forEach((part) => {
+        sha.update(String(part));
+        // Separator so that ['ab', 'c'] and ['a', 'bc'] differ.
+        sha.update('\0');
+    });
+    return sha.digest('hex');
+}
+
+/**
+ * Creates the key of an output from its parts and the contents of the files it depends on.
+ * @param {BuildCache} cache - The cache, the config hash is included in the key.
+ * @param {string[]} parts - Things that the output depends on, e.g. the source.
+ * @param {string[]} deps - Paths of files the output depends on, e.g. included templates.
+ * @return {Promise.<string>} - The key, null if a dependency could not be read (never fresh).
+ */
+function dependencyKey(cache, parts, deps) {
+    return Promise.all(deps.map((dep) => t3hfs.read(dep))).then((contents) => {
+        return hash(cache.config, ...parts, ...deps, ...contents);
+    }).catch(() => {
+        return null;
+    });
+}
+
+/**
+ * The dependency files recorded for an output by the last build.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} outputPath - Output file path.
+ * @return {string[]} - Dependency paths, empty if unknown.
+ */
+function previousDeps(cache, outputPath) {
+    let entry = cache.previous.outputs[outputPath];
+    return entry && entry.deps ? entry.deps : [];
+}
+
+/**
+ * Gets the cached front matter and converted markdown of a post, if its key is unchanged.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} filePath - Path of the post markdown.
+ * @param {string} key - Key of the post.
+ * @return {{}} - The {key, frontMatter, content, ...} entry or undefined.
+ */
+function getPost(cache, filePath, key) {
+    let entry = cache.previous.posts[filePath];
+    if (!entry || entry.key != key) return undefined;
+    cache.next.posts[filePath] = entry;
+    return entry;
+}
+
+/**
+ * Records the front matter and converted markdown of a post.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} filePath - Path of the post markdown.
+ * @param {{}} entry - {key, frontMatter, content, ...}.
+ * @return {void}
+ */
+function setPost(cache, filePath, entry) {
+    cache.next.posts[filePath] = entry;
+}
+
+/**
+ * Gets what a page set about itself when it was last rendered, for pages skipped because they are fresh.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} outputPath - Output file path of the page.
+ * @return {{}} - The recorded info, empty if nothing was recorded.
+ */
+function getPage(cache, outputPath) {
+    let info = cache.previous.pages[outputPath] || {};
+    cache.next.pages[outputPath] = info;
+    return info;
+}
+
+/**
+ * Records what a page set about itself when rendered.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} outputPath - Output file path of the page.
+ * @param {{}} info - e.g. {noindex}.
+ * @return {void}
+ */
+function setPage(cache, outputPath, info) {
+    cache.next.pages[outputPath] = info;
+}
+
+/**
+ * Checks if an output was written by the last build with the same key and still exists.
+ * Fresh outputs are carried over to the next manifest.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} outputPath - Output file path.
+ * @param {string} key - Key of the output.
+ * @return {boolean} - True if the output can be skipped.
+ */
+function isFresh(cache, outputPath, key) {
+    let entry = cache.previous.outputs[outputPath];
+    if (!key || !entry || entry.key != key || !fs.existsSync(outputPath)) return false;
+    cache.next.outputs[outputPath] = entry;
+    return true;
+}
+
+/**
+ * Records the outputs and removes the ones that do not need writing.
+ * Items with null data were found fresh and not rendered, items with unchanged data are not rewritten.
+ * @param {BuildCache} cache - The cache.
+ * @param {[]} items - List of [dir, fileName, data, key, deps], key defaults to the hash of the data.
+ * @return {[]} - List of [dir, fileName, data] for t3hfs.writeMany.
+ */
+function filterWrites(cache, items) {
+    let writes = [];
+    items.forEach(([dir, fileName, data, key, deps]) => {
+        if (data === null) return;
+        let outputPath = path.join(dir, fileName);
+        let dataHash = hash(data);
+        let entry = cache.previous.outputs[outputPath];
+        cache.next.outputs[outputPath] = {
+            key: key || dataHash,
+            hash: dataHash,
+            deps: deps || []
+        };
+        if (entry && entry.hash == dataHash && fs.existsSync(outputPath)) return;
+        writes.push([dir, fileName, data]);
+    });
+    return writes;
+}
+
+/**
+ * Records an output that was written without filterWrites, e.g. a copied file.
+ * @param {BuildCache} cache - The cache.
+ * @param {string} outputPath - Output file path.
+ * @param {string} key - Key of the output.
+ * @return {void}
+ */
+function record(cache, outputPath, key) {
+    cache.next.outputs[outputPath] = {key: key, hash: key, deps: []};
+}
@@ -0,0 +1,255 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Checks the links of a built site: every local link, image, stylesheet and script in the HTML pages, the urls in the
+ * stylesheets and #fragment anchors, against the files the build wrote. Links to other sites are not checked.
+ */
+
+const path = require('path');
+const t3hfs = require('t3h-fs-helper');
+
+// Attributes holding urls, srcset holds a list.
+const URL_ATTRS = ['href', 'src', 'poster', 'srcset'];
+const ATTR_PATTERN = /\s([a-z-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/gi;
+const CSS_URL_PATTERN = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)|@import\s+(?:"([^"]*)"|'([^']*)')/g;
+// #top scrolls to the top of any page, # alone is a placeholder.
+const ALWAYS_VALID_FRAGMENTS = ['', 'top'];
+
+module.exports.checkLinks = checkLinks;
+module.exports.formatBrokenLink = formatBrokenLink;
+
+
+/**
+ * @typedef {Object} BrokenLink
+ * @property {string} page - Output path of the page or stylesheet containing the link.
+ * @property {string} source - Path of the post or page it was built from, undefined for generated pages.
+ * @property {string} url - The url as written.
+ * @property {string} reason - What is wrong with it.
+ */
+
+/**
+ * Checks the links in the HTML and CSS written by a build.
+ * @param {{}} site - Site config, uses outputDir.dir and baseUrl to tell local links from links to other sites.
+ * @param {string[]} outputs - Paths of every file the build wrote (or left unchanged).
+ * @param {{}} [sources] - Map of output path to the source file it was built from, for naming the broken links.
+ * @return {Promise.<BrokenLink[]>} - The broken links, empty if all is well.
+ */
+function checkLinks(site, outputs, sources) {
+    let sourceOf = {};
+    Object.keys(sources || {}).forEach((output) => {
+        sourceOf[path.resolve(output)] = sources[output];
+    });
+    let root = path.resolve(site.outputDir.dir);
+    let written = new Set(outputs.map((output) => path.resolve(output)));
+    let checked = Array.from(written).filter((file) => /\.(html|css)$/.test(file));
+    let ids = {};
+    let contents = {};
+
+    return Promise.all(checked.map((file) => t3hfs.read(file).then((data) => {
+        contents[file] = String(data);
+        if (file.endsWith('.html')) ids[file] = findIds(contents[file]);
+    }))).then(() => {
+        let broken = [];
+        checked.forEach((file) => {
+            let urls = file.endsWith('.html') ? findHtmlUrls(contents[file]) : findCssUrls(contents[file]);
+            urls.forEach((url) => {
+                let reason = checkUrl(url, file, root, site.baseUrl, written, ids, file.endsWith('.html'));
+                if (!reason) return;
+                broken.push({page: file, source: sourceOf[file], url: url, reason: reason});
+            });
+        });
+        return broken;
+    });
+}
+
+/**
+ * Describes a broken link for the console.
+ * @param {BrokenLink} link - The broken link.
+ * @param {string} root - Output dir, paths are shown relative to it.
+ * @return {string} - e.g. 'posts/hello.md (posts/hello.html): images/a.png - file not found'.
+ */
+function formatBrokenLink(link, root) {
+    let page = path.relative(path.resolve(root), link.page);
+    let where = link.source ? `${path.relative(process.cwd(), link.source)} (${page})` : page;
+    return `${where}: ${link.url} - ${link.reason}`;
+}
+
+/**
+ * Checks one url.
+ * @param {string} url - The url as written.
+ * @param {string} file - Path of the file containing it.
+ * @param {string} root - Resolved output dir.
+ * @param {string} baseUrl - Site base url, links starting with it are local.
+ * @param {Set} written - Resolved paths of the files written.
+ * @param {{}} ids - Map of HTML file path to the Set of ids in it.
+ * @param {boolean} checkFragment - False ignores the #fragment, e.g. for CSS urls which use them for SVG sprites.
+ * @return {string} - What is wrong with the url, null if nothing.
+ */
+function checkUrl(url, file, root, baseUrl, written, ids, checkFragment) {
+    let local = localPath(url, baseUrl);
+    // A link to another site.
+    if (local === null) return null;
+
+    let fragment = null;
+    let hashIndex = local.indexOf('#');
+    if (hashIndex != -1) {
+        fragment = local.slice(hashIndex + 1);
+        local = local.slice(0, hashIndex);
+    }
+    local = local.split('?')[0];
+    try {
+        local = decodeURIComponent(local);
+        fragment = fragment === null ? null : decodeURIComponent(fragment);
+    } catch (err) {
+        return 'malformed url';
+    }
+
+    let target;
+    if (local === '' && !url.startsWith(baseUrl)) {
+        target = file;
+    } else {
+        target = local.startsWith('/') ? path.join(root, local) : path.join(path.dirname(file), local);
+        if (local === '' || local.endsWith('/')) target = path.join(target, 'index.html');
+        if (!written.has(target) && written.has(path.join(target, 'index.html'))) target = path.join(target, 'index.html');
+        if (!written.has(target)) return 'file not found';
+    }
+
+    if (!checkFragment || fragment === null || ALWAYS_VALID_FRAGMENTS.indexOf(fragment) != -1) return null;
+    if (!ids[target]) return null;
+    return ids[target].has(fragment) ? null : `no element with id '${fragment}'`;
+}
+
+/**
+ * Turns a url into a path within the site.
+ * @param {string} url - The url as written.
+ * @param {string} baseUrl - Site base url.
+ * @return {string} - The path, starting with / if it is from the site root, null for other sites and non-http urls.
+ */
+function localPath(url, baseUrl) {
+    if (url.startsWith(baseUrl + '/') || url == baseUrl) return url.slice(baseUrl.length) || '/';
+    // Any other scheme, e.g. https:, mailto: or data:, or a protocol relative url.
+    if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) return null;
+    if (url.startsWith('/')) {
+        // A site in a sub-dir of a domain, e.g. http://example.com/blog, has root links starting with the sub-dir.
+        let basePath = /^https?:\/\/[^/]+(\/.*)?$/.exec(baseUrl);
+        let prefix = basePath && basePath[1] ? basePath[1].replace(/\/$/, '') : '';
+        if (prefix && (url.startsWith(prefix + '/') || url == prefix)) return url.slice(prefix.length) || '/';
+    }
+    return url;
+}
+
+/**
+ * Finds the urls linked from a HTML page.
+ * @param {string} html - The page.
+ * @return {string[]} - Urls as written, with HTML entities decoded.
+ */
+function findHtmlUrls(html) {
+    let urls = [];
+    // Code blocks are escaped so their tags don't match.
+    withoutScripts(html).replace(/<[a-z][a-z0-9]*\b[^>]*>/gi, (tag) => {
+        attributes(tag).forEach(([name, value]) => {
+            if (URL_ATTRS.indexOf(name) == -1 || value === '') return;
+            if (name == 'srcset') {
+                value.split(',').forEach((candidate) => {
+                    let candidateUrl = candidate.trim().split(/\s+/)[0];
+                    if (candidateUrl) urls.push(candidateUrl);
+                });
+            } else {
+                urls.push(value);
+            }
+        });
+    });
+    return urls;
+}
+
+/**
+ * Finds the ids of the elements of a HTML page, including the old style named anchors.
+ * @param {string} html - The page.
+ * @return {Set} - The ids.
+ */
+function findIds(html) {
+    let ids = new Set();
+    withoutScripts(html).replace(/<[a-z][a-z0-9]*\b[^>]*>/gi, (tag) => {
+        let isAnchor = /^<a\b/i.test(tag);
+        attributes(tag).forEach(([name, value]) => {
+            if (name == 'id' || isAnchor && name == 'name') ids.add(value);
+        });
+    });
+    return ids;
+}
+
+/**
+ * Removes the code of inline scripts, which may contain HTML in strings.
+ * @param {string} html - The page.
+ * @return {string} - The page with empty script elements.
+ */
+function withoutScripts(html) {
+    return html.replace(/(<script\b[^>]*>)[\s\S]*?(<\/script>)/gi, '$1$2');
+}
+
+/**
+ * Finds the urls and imports in a stylesheet.
+ * @param {string} css - The stylesheet.
+ * @return {string[]} - Urls as written, data urls are left out.
+ */
+function findCssUrls(css) {
+    let urls = [];
+    let pattern = new RegExp(CSS_URL_PATTERN.source, 'g');
+    let match;
+    while ((match = pattern.exec(css)) !== null) {
+        let url = match.slice(1).find((group) => group !== undefined);
+        if (url && !url.startsWith('data:')) urls.push(url);
+    }
+    return urls;
+}
+
+/**
+ * Reads the attributes of a tag.
+ * @param {string} tag - e.g. '<a href="x.html">'.
+ * @return {[]} - List of [name, value], names lowercase and values with HTML entities decoded.
+ */
+function attributes(tag) {
+    let result = [];
+    let pattern = new RegExp(ATTR_PATTERN.source, 'gi');
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        let value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        result.push([match[1].toLowerCase(), decodeEntities(value)]);
+    }
+    return result;
+}
+
+/**
+ * Decodes the HTML entities that appear in urls.
+ * @param {string} text - Attribute value.
+ * @return {string} - Decoded value.
+ */
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,331 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The t3hpub command line: parses the args, runs a command and works out the exit code.
+ * Each command has its own options, every command takes --help.
+ */
+
+const path = require('path');
+const pub = require('./pub');
+const serve = require('./serve');
+const manage = require('./manage');
+const errors = require('./errors');
+const packageInfo = require('../package.json');
+
+const EXIT_CODES = {
+    ok: 0,
+    failed: 1,
+    usage: 2,
+    config: 3,
+    brokenLinks: 4
+};
+
+// Options that take a value have an arg, the name of the value in the help.
+const OPTIONS = {
+    config: {alias: 'c', arg: 'file', description: `Path of the config file, default ${pub.CONFIG_FILE_NAME}.`},
+    env: {alias: 'e', arg: 'name', description: 'Merge config.<name>.json over the config.'},
+    test: {alias: 't', description: 'Build the preview into the testDir, with file:/// links and drafts.'},
+    drafts: {description: 'Include drafts and scheduled posts.'},
+    check: {description: 'Check the links of the site once it is built.'},
+    out: {alias: 'o', arg: 'dir', description: 'Build into this dir instead of the outputDir (or testDir).'},
+    port: {alias: 'p', arg: 'number', parse: parsePort, description: `Port to serve on, default ${serve.DEFAULT_PORT}.`},
+    draft: {description: 'Mark the post as a draft.'},
+    date: {arg: 'YYYY-MM-DD', parse: parseDate, description: 'Date of the post, default today.'},
+    debug: {description: 'Show debug output.'},
+    help: {alias: 'h', description: 'Show this help.'}
+};
+
+const COMMANDS = {
+    init: {
+        description: 'Write a default config, or create the input dirs of an existing one.',
+        options: ['config', 'debug'],
+        run: runInit
+    },
+    build: {
+        description: 'Build the site, the default command. The env defaults to the mode, production or test.',
+        options: ['config', 'env', 'test', 'drafts', 'check', 'out', 'debug'],
+        run: runBuild
+    },
+    serve: {
+        description: 'Build the preview, serve it and rebuild on changes. The env defaults to test.',
+        options: ['config', 'env', 'port', 'debug'],
+        run: runServe
+    },
+    clean: {
+        description: 'Delete the output dir, the test dir and the build cache. The env defaults to production.',
+        options: ['config', 'env', 'debug'],
+        run: runClean
+    },
+    new: {
+        args: '<title>',
+        description: 'Create a post named YYYY-MM-DD_<title>.md in the posts dir.',
+        options: ['config', 'env', 'draft', 'date', 'debug'],
+        run: runNew
+    }
+};
+
+module.exports.run = run;
+module.exports.parseArgs = parseArgs;
+module.exports.EXIT_CODES = EXIT_CODES;
+
+
+/**
+ * A mistake in the command line, the usage is shown.
+ */
+class UsageError extends Error {}
+
+/**
+ * Runs the command line.
+ * @param {string[]} args - The args after the script, e.g. ['build', '--test'].
+ * @return {Promise.<number>} - The exit code, never rejects. The serve command resolves once the server is up.
+ */
+function run(args) {
+    let debug = args.indexOf('--debug') != -1;
+    return Promise.resolve().then(() => {
+        let [first] = args;
+        if (first == '--version') {
+            console.log(packageInfo.version);
+            return EXIT_CODES.ok;
+        }
+        if (first == 'help' || first == '--help' || first == '-h') {
+            let name = first == 'help' ? args[1] : undefined;
+            if (name && !COMMANDS[name]) throw new UsageError(`Unknown command '${name}'.`);
+            console.log(name ? commandHelp(name) : generalHelp());
+            return EXIT_CODES.ok;
+        }
+        // Just options, e.g. `t3hpub --test`, builds.
+        let name = first === undefined || first.startsWith('-') ? 'build' : first;
+        let command = COMMANDS[name];
+        if (!command) throw new UsageError(`Unknown command '${name}'.`);
+        let rest = name == first ? args.slice(1) : args;
+        let parsed = parseArgs(rest, command.options.concat('help'));
+        if (parsed.options.help) {
+            console.log(commandHelp(name));
+            return EXIT_CODES.ok;
+        }
+        if (command.args && parsed.positional.length == 0) {
+            throw new UsageError(`The ${name} command needs a ${command.args}.`);
+        }
+        if (!command.args && parsed.positional.length > 0) {
+            throw new UsageError(`Unexpected argument '${parsed.positional[0]}'.`);
+        }
+        return command.run(parsed.options, parsed.positional).then(() => EXIT_CODES.ok);
+    }).catch((err) => {
+        if (err instanceof UsageError) {
+            console.log(err.message);
+            console.log('Run `t3hpub help` for the commands and `t3hpub <command> --help` for their options.');
+            return EXIT_CODES.usage;
+        }
+        console.log(debug ? err.stack : `${err.name}: ${err.message}`);
+        if (err instanceof errors.LinkCheckError) return EXIT_CODES.brokenLinks;
+        if (err instanceof errors.ConfigError) return EXIT_CODES.config;
+        return EXIT_CODES.failed;
+    });
+}
+
+/**
+ * Parses the args of a command. Options are --name, --name value, --name=value or -alias, anything else is a
+ * positional arg. Everything after -- is positional.
+ * @param {string[]} args - The args after the command.
+ * @param {string[]} names - Names of the options the command takes, see OPTIONS.
+ * @return {{}} - {options, positional}, options maps the option name to its value, true for a flag.
+ * @throws {UsageError} - If an option is unknown or its value is missing or invalid.
+ */
+function parseArgs(args, names) {
+    let options = {};
+    let positional = [];
+    for (let i = 0; i < args.length; i++) {
+        let arg = args[i];
+        if (arg == '--') {
+            positional.push(...args.slice(i + 1));
+            break;
+        }
+        let match = /^--([^=]+)(?:=([\s\S]*))?$/.exec(arg) || /^-([^-])$/.exec(arg);
+        if (!match) {
+            positional.push(arg);
+            continue;
+        }
+        let name = arg.startsWith('--') ? match[1] : names.find((e) => OPTIONS[e].alias == match[1]);
+        if (!name || names.indexOf(name) == -1) throw new UsageError(`Unknown option '${arg}'.`);
+        let spec = OPTIONS[name];
+        let value = match[2];
+        if (spec.arg) {
+            if (value === undefined) {
+                if (i + 1 >= args.length) throw new UsageError(`The --${name} option needs a ${spec.arg}.`);
+                value = args[++i];
+            }
+            if (spec.parse) value = spec.parse(value);
+        } else {
+            if (value !== undefined) throw new UsageError(`The --${name} option does not take a value.`);
+            value = true;
+        }
+        options[name] = value;
+    }
+    return {options: options, positional: positional};
+}
+
+/**
+ * @param {string} value - The --port value.
+ * @return {number} - The port.
+ * @throws {UsageError} - If it isn't a port number.
+ */
+function parsePort(value) {
+    let port = Number(value);
+    if (!/^\d+$/.test(value) || port < 1 || port > 65535) {
+        throw new UsageError(`Invalid port '${value}', it must be a number from 1 to 65535.`);
+    }
+    return port;
+}
+
+/**
+ * @param {string} value - The --date value.
+ * @return {string} - The date, as given.
+ * @throws {UsageError} - If it isn't a YYYY-MM-DD date.
+ */
+function parseDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value))) {
+        throw new UsageError(`Invalid date '${value}', it must be YYYY-MM-DD.`);
+    }
+    return value;
+}
+
+/**
+ * @return {string} - The list of commands.
+ */
+function generalHelp() {
+    let rows = Object.keys(COMMANDS).map((name) => {
+        return [command(name), COMMANDS[name].description];
+    });
+    return [
+        'Usage: t3hpub <command> [options]',
+        '',
+        'Commands:',
+        ...table(rows),
+        '',
+        'Run `t3hpub <command> --help` for the options of a command, `t3hpub --version` for the version.'
+    ].join('\n');
+}
+
+/**
+ * @param {string} name - Name of the command.
+ * @return {string} - The usage and options of the command.
+ */
+function commandHelp(name) {
+    let rows = COMMANDS[name].options.concat('help').map((option) => {
+        let spec = OPTIONS[option];
+        let flags = `${spec.alias ? `-${spec.alias}, ` : '    '}--${option}${spec.arg ? ` <${spec.arg}>` : ''}`;
+        return [flags, spec.description];
+    });
+    return [
+        `Usage: t3hpub ${command(name)} [options]`,
+        '',
+        COMMANDS[name].description,
+        '',
+        'Options:',
+        ...table(rows)
+    ].join('\n');
+}
+
+/**
+ * @param {string} name - Name of the command.
+ * @return {string} - The command with its args, e.g. 'new <title>'.
+ */
+function command(name) {
+    return COMMANDS[name].args ? `${name} ${COMMANDS[name].args}` : name;
+}
+
+/**
+ * Lines up two columns.
+ * @param {[]} rows - List of [left, right] strings.
+ * @return {string[]} - The indented lines.
+ */
+function table(rows) {
+    let width = Math.max(...rows.map(([left]) => left.length));
+    return rows.map(([left, right]) => `  ${left}${' '.repeat(width - left.length)}  ${right}`);
+}
+
+/**
+ * @param {{}} options - Parsed options.
+ * @return {Promise} - Resolves once the config is written or the dirs are created.
+ */
+function runInit(options) {
+    return manage.init(options.config, options.debug).then((result) => {
+        if (result.written) {
+            let file = options.config || pub.CONFIG_FILE_NAME;
+            let again = options.config ? `t3hpub init --config ${options.config}` : 't3hpub init';
+            console.log(`Default config written to ${file}. Edit it, then run \`${again}\` to create the input dirs.`);
+        } else {
+            console.log(`Input dirs ready: ${result.dirs.join(', ')}`);
+        }
+    });
+}
+
+/**
+ * @param {{}} options - Parsed options.
+ * @return {Promise} - Resolves once the site is built (and checked).
+ */
+function runBuild(options) {
+    return pub.build({
+        config: options.config,
+        env: options.env,
+        mode: options.test ? 'test' : 'production',
+        drafts: options.drafts,
+        check: options.check,
+        out: options.out,
+        debug: options.debug
+    }).then((report) => {
+        let warnings = report.warnings.length;
+        console.log(`Publish complete, ${report.written.length} of ${report.outputs.length} files written in ` +
+            `${report.timings.total}ms${warnings ? `, ${warnings} warning${warnings == 1 ? '' : 's'}` : ''}.`);
+        options.check && console.log('Link check passed.');
+    });
+}
+
+/**
+ * @param {{}} options - Parsed options.
+ * @return {Promise} - Resolves once the server is listening.
+ */
+function runServe(options) {
+    return serve.serve({config: options.config, env: options.env, port: options.port, debug: options.debug});
+}
+
+/**
+ * @param {{}} options - Parsed options.
+ * @return {Promise} - Resolves once everything is deleted.
+ */
+function runClean(options) {
+    return manage.clean(options.config, options.env || 'production', options.debug).then((deleted) => {
+        console.log(deleted.length > 0 ? `Deleted ${deleted.join(', ')}` : 'Nothing to delete.');
+    });
+}
+
+/**
+ * @param {{}} options - Parsed options.
+ * @param {string[]} positional - The words of the title.
+ * @return {Promise} - Resolves once the post is created.
+ */
+function runNew(options, positional) {
+    let title = positional.join(' ');
+    return manage.newPost(title, options).then((filePath) => {
+        console.log(`Created ${path.relative(process.cwd(), filePath)}`);
+    });
+}
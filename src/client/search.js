@@ -0,0 +1,197 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/* eslint-env browser */
+
+/**
+ * Browser side of the search, searches the index written by src/search.js without a server.
+ *
+ * The page needs a form with a text input named q and an element with data-search-index set to the url of the index,
+ * the results are listed in that element. The tokenising and stemming is shared with the index builder through
+ * module.exports, so that queries and the index always agree.
+ */
+
+(function () {
+    // Words too common to be worth indexing.
+    const STOP_WORDS = ['a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is',
+        'it', 'no', 'not', 'of', 'on', 'or', 'so', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+        'this', 'to', 'was', 'will', 'with', 'we', 'you', 'i'];
+    // Longest first, the first that leaves at least 3 letters is removed.
+    const SUFFIXES = [['ational', 'ate'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+        ['ization', 'ize'], ['ations', 'ate'], ['ation', 'ate'], ['ments', ''], ['ment', ''], ['ness', ''],
+        ['ings', ''], ['ing', ''], ['edly', ''], ['ies', 'y'], ['ied', 'y'], ['sses', 'ss'], ['ed', ''], ['ly', ''],
+        ['es', ''], ['s', '']];
+    const MAX_RESULTS = 50;
+
+    /**
+     * Light English stemmer, enough to match plurals and the common verb forms to each other.
+     * @param {string} word - Lower case word.
+     * @return {string} - The stem.
+     */
+    function stem(word) {
+        if (word.length < 4 || /^\d/.test(word)) return word;
+        for (let i = 0; i < SUFFIXES.length; i++) {
+            let suffix = SUFFIXES[i][0];
+            if (!word.endsWith(suffix) || word.length - suffix.length < 3) continue;
+            // Words like 'class', 'status' and 'analysis' aren't plurals.
+            if (suffix == 's' && /(ss|us|is)$/.test(word)) return word;
+            let result = word.slice(0, word.length - suffix.length) + SUFFIXES[i][1];
+            // running -> runn -> run, but not fall -> fal.
+            if (SUFFIXES[i][1] == '' && /([^aeioulsz])\1$/.test(result)) result = result.slice(0, -1);
+            return result;
+        }
+        return word;
+    }
+
+    /**
+     * Splits text into stemmed terms, leaving out stop words.
+     * @param {string} text - Plain text.
+     * @return {string[]} - The terms in order, with repeats.
+     */
+    function tokenise(text) {
+        let words = String(text).toLowerCase().match(/[a-z0-9]+(?:['+#][a-z0-9+#]*)?/g) || [];
+        let terms = [];
+        words.forEach(function (word) {
+            word = word.replace(/'.*$/, '');
+            if (word.length < 2 || word.length > 30 || STOP_WORDS.indexOf(word) != -1) return;
+            terms.push(stem(word));
+        });
+        return terms;
+    }
+
+    /**
+     * Finds the posts that have every term, the last term also matches as a prefix while it is being typed.
+     * @param {{}} index - The loaded index {docs, terms}.
+     * @param {string} query - What the reader typed.
+     * @return {{}[]} - The matching docs, best first.
+     */
+    function search(index, query) {
+        let queryTerms = tokenise(query);
+        if (queryTerms.length == 0) return [];
+        let scores = null;
+        queryTerms.forEach(function (term, i) {
+            let matches = {};
+            let keys = i == queryTerms.length - 1 ? Object.keys(index.terms).filter(function (key) {
+                return key.indexOf(term) == 0;
+            }) : [term];
+            keys.forEach(function (key) {
+                let postings = Object.prototype.hasOwnProperty.call(index.terms, key) ? index.terms[key] : [];
+                // Postings are flattened pairs of [doc, score].
+                for (let p = 0; p < postings.length; p += 2) {
+                    matches[postings[p]] = (matches[postings[p]] || 0) + postings[p + 1];
+                }
+            });
+            if (scores === null) {
+                scores = matches;
+                return;
+            }
+            Object.keys(scores).forEach(function (doc) {
+                if (matches[doc]) scores[doc] += matches[doc];
+                else delete scores[doc];
+            });
+        });
+        return Object.keys(scores).sort(function (a, b) {
+            return scores[b] - scores[a];
+        }).slice(0, MAX_RESULTS).map(function (doc) {
+            return index.docs[doc];
+        });
+    }
+
+    /**
+     * Escapes text for inserting into HTML.
+     * @param {string} text - Raw text.
+     * @return {string} - Escaped text.
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Lists the results in the results element.
+     * @param {Element} resultsEle - The element to fill.
+     * @param {{}[]} docs - The matching docs {title, url, date, description, tags}.
+     * @param {string} query - The query, for the no results message.
+     * @return {void}
+     */
+    function showResults(resultsEle, docs, query) {
+        if (!query.trim()) {
+            resultsEle.innerHTML = '';
+            return;
+        }
+        if (docs.length == 0) {
+            resultsEle.innerHTML = '<p class="search-none">Nothing found for ' + escapeHtml(query) + '.</p>';
+            return;
+        }
+        resultsEle.innerHTML = '<ul class="search-results">' + docs.map(function (doc) {
+            return '<li><a href="' + escapeHtml(doc.url) + '">' + escapeHtml(doc.title) + '</a> ' +
+                '<span class="search-date">' + escapeHtml(doc.date) + '</span>' +
+                (doc.description ? '<p>' + escapeHtml(doc.description) + '</p>' : '') + '</li>';
+        }).join('') + '</ul>';
+    }
+
+    /**
+     * Loads the index and hooks up the search form, the query can also come from ?q= in the page url.
+     * @return {void}
+     */
+    function init() {
+        let resultsEle = document.querySelector('[data-search-index]');
+        let input = document.querySelector('input[name=q]');
+        if (!resultsEle || !input) return;
+        let request = new XMLHttpRequest();
+        request.open('GET', resultsEle.getAttribute('data-search-index'));
+        request.onload = function () {
+            let index;
+            try {
+                index = JSON.parse(request.responseText);
+            } catch (err) {
+                resultsEle.innerHTML = '<p class="search-none">The search index could not be loaded.</p>';
+                return;
+            }
+            let run = function () {
+                showResults(resultsEle, search(index, input.value), input.value);
+            };
+            input.addEventListener('input', run);
+            if (input.form) {
+                input.form.addEventListener('submit', function (e) {
+                    e.preventDefault();
+                    run();
+                });
+            }
+            let param = /[?&]q=([^&]*)/.exec(location.search);
+            if (param) {
+                input.value = decodeURIComponent(param[1].replace(/\+/g, ' '));
+                run();
+            }
+        };
+        request.send();
+    }
+
+    if (typeof module != 'undefined' && module.exports) {
+        module.exports.stem = stem;
+        module.exports.tokenise = tokenise;
+        module.exports.search = search;
+    } else if (document.readyState == 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
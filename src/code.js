@@ -0,0 +1,183 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Fenced code blocks: highlighting, line numbers, highlighted lines and file titles from the info string.
+ *
+ * ```js {3,5-7} title="pub.js" linenos
+ *
+ * The first word is the language, {} lists lines to highlight, title captions the block and linenos / nolinenos turn
+ * the line numbers on or off. Line numbers are CSS generated content so they are not copied with the code.
+ */
+
+const highlightJs = require('highlight.js');
+const html = require('./html');
+
+// Languages that are deliberately not highlighted.
+const PLAIN_LANGUAGES = ['text', 'plain', 'plaintext', 'nohighlight'];
+const DEFAULT_CODE_CONFIG = {
+    autoDetect: true,
+    lineNumbers: false,
+    copy: true
+};
+
+module.exports.parseInfo = parseInfo;
+module.exports.render = render;
+module.exports.DEFAULT_CODE_CONFIG = DEFAULT_CODE_CONFIG;
+
+
+/**
+ * @typedef {Object} CodeInfo
+ * @property {string} lang - The language, '' if none was given.
+ * @property {number[]} highlight - Line numbers to highlight, starting at 1.
+ * @property {string} title - Caption for the block, usually a file name, '' for none.
+ * @property {boolean} lineNumbers - True or false if set in the info string, undefined otherwise.
+ * @property {string[]} unknown - Parts of the info string that were not understood.
+ */
+
+/**
+ * Parses the info string of a fenced code block.
+ * @param {string} info - Everything after the opening fence, e.g. 'js {3,5-7} title="pub.js" linenos'.
+ * @return {CodeInfo} - The options.
+ */
+function parseInfo(info) {
+    let result = {lang: '', highlight: [], title: '', lineNumbers: undefined, unknown: []};
+    let parts = info.trim().match(/\{[^}]*\}|[\w-]+="[^"]*"|[\w-]+='[^']*'|\S+/g) || [];
+    if (parts.length > 0 && !parts[0].startsWith('{') && parts[0].indexOf('=') == -1) {
+        result.lang = parts.shift();
+    }
+    parts.forEach((part) => {
+        if (part.startsWith('{')) {
+            result.highlight = result.highlight.concat(parseLineRanges(part.slice(1, -1)));
+        } else if (/^title=/.test(part)) {
+            result.title = part.slice('title='.length).replace(/^(["'])(.*)\1$/, '$2');
+        } else if (part == 'linenos') {
+            result.lineNumbers = true;
+        } else if (part == 'nolinenos') {
+            result.lineNumbers = false;
+        } else {
+            result.unknown.push(part);
+        }
+    });
+    return result;
+}
+
+/**
+ * Parses a list of lines and ranges.
+ * @param {string} text - e.g. '3,5-7'.
+ * @return {number[]} - e.g. [3, 5, 6, 7], anything that isn't a number or range is ignored.
+ */
+function parseLineRanges(text) {
+    let lines = [];
+    text.split(',').forEach((range) => {
+        let match = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/.exec(range);
+        if (!match) return;
+        let first = Number(match[1]);
+        let last = match[2] ? Number(match[2]) : first;
+        for (let line = first; line <= last; line++) lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * Renders a fenced code block.
+ * @param {string} code - The code.
+ * @param {CodeInfo} info - Options from the info string.
+ * @param {{}} [conf] - Code config {autoDetect, lineNumbers, copy}, see DEFAULT_CODE_CONFIG.
+ * @param {function} [warn] - Called with a message for problems that don't stop the block rendering, e.g. an unknown
+ * language.
+ * @return {string} - HTML figure containing the code.
+ */
+function render(code, info, conf, warn) {
+    conf = Object.assign({}, DEFAULT_CODE_CONFIG, conf);
+    warn = warn || (() => {});
+    if (info.unknown.length > 0) warn(`unknown code block options: ${info.unknown.join(' ')}`);
+
+    let highlighted = highlight(code, info.lang, conf.autoDetect, warn);
+    let lineNumbers = info.lineNumbers === undefined ? conf.lineNumbers : info.lineNumbers;
+    let body = highlighted.html;
+    if (lineNumbers || info.highlight.length > 0) {
+        body = splitLines(body).map((line, i) => {
+            let number = i + 1;
+            let classes = info.highlight.indexOf(number) == -1 ? 'line' : 'line highlighted';
+            let numberAttr = lineNumbers ? ` data-line="${number}"` : '';
+            return `<span class="${classes}"${numberAttr}>${line}</span>`;
+        }).join('\n');
+    }
+
+    let classes = ['code-block'];
+    if (lineNumbers) classes.push('line-numbers');
+    let attrs = ` class="${classes.join(' ')}"`;
+    if (highlighted.lang) attrs += ` data-lang="${html.escapeHtml(highlighted.lang)}"`;
+    // Hook for the site's JS to add a copy button, the text of the code element is the code.
+    if (conf.copy) attrs += ' data-copy';
+    let codeClass = highlighted.lang ? ` class="hljs language-${html.escapeHtml(highlighted.lang)}"` : ' class="hljs"';
+    let caption = info.title ? `<figcaption class="code-title">${html.escapeHtml(info.title)}</figcaption>` : '';
+    return `<figure${attrs}>${caption}<pre><code${codeClass}>${body}\n</code></pre></figure>\n`;
+}
+
+/**
+ * Highlights code with highlight.js, guessing the language if there isn't one.
+ * @param {string} code - The code.
+ * @param {string} lang - The language, '' if none.
+ * @param {boolean} autoDetect - True to guess the language when there isn't one.
+ * @param {function} warn - Called with a message if the language is unknown or highlighting fails.
+ * @return {{}} - {html, lang}, lang is the language used, '' if not highlighted.
+ */
+function highlight(code, lang, autoDetect, warn) {
+    // The trailing newline would be an extra empty line.
+    code = code.replace(/\n$/, '');
+    let plain = {html: html.escapeHtml(code), lang: ''};
+    if (PLAIN_LANGUAGES.indexOf(lang) != -1) return plain;
+    if (!lang) {
+        if (!autoDetect) return plain;
+        let result = highlightJs.highlightAuto(code);
+        return result.language ? {html: result.value, lang: result.language} : plain;
+    }
+    if (!highlightJs.getLanguage(lang)) {
+        warn(`unknown code block language '${lang}', it is not highlighted`);
+        return {html: plain.html, lang: lang};
+    }
+    try {
+        return {html: highlightJs.highlight(lang, code).value, lang: lang};
+    } catch (err) {
+        warn(`highlighting '${lang}' failed, it is not highlighted: ${err.message}`);
+        return {html: plain.html, lang: lang};
+    }
+}
+
+/**
+ * Splits highlighted HTML into lines, closing the spans open at the end of each line and reopening them on the next,
+ * so that each line is valid HTML by itself.
+ * @param {string} html - Escaped code containing only span tags.
+ * @return {string[]} - The lines.
+ */
+function splitLines(html) {
+    let open = [];
+    return html.split('\n').map((line) => {
+        let start = open.join('');
+        line.replace(/<span[^>]*>|<\/span>/g, (tag) => {
+            if (tag == '</span>') open.pop();
+            else open.push(tag);
+        });
+        return start + line + '</span>'.repeat(open.length);
+    });
+}
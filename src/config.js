@@ -0,0 +1,416 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * The site config: the defaults, and checking a config against the schema with the defaults filled in.
+ */
+
+const path = require('path');
+const files = require('./files');
+const errors = require('./errors');
+const urls = require('./urls');
+const diagrams = require('./diagrams');
+const code = require('./code');
+
+const STRING = {type: 'string'};
+const BOOLEAN = {type: 'boolean'};
+const FILE_NAME = {type: 'string', nonEmpty: true};
+// Features that change the output are off unless the config turns them on, the default config has them on.
+const OFF = {type: 'boolean', default: false};
+
+/**
+ * What each key of the config must be. A rule is {type, ...}:
+ * required - There is no default, it must be set.
+ * optional - A feature that is off unless its section is set, the section gets the defaults when it is.
+ * default - Used instead of the value from defaultConfig(), which has example values for some keys.
+ * keys - Rules of the keys of an object, objects without keys can have anything in them.
+ * items, length - Rule of every item of an array, the number of items.
+ * values, min, nonEmpty - Allowed values, the minimum number, strings can't be ''.
+ * Keys that aren't in the schema are allowed, templates and plugins can have their own config.
+ */
+const SCHEMA = {
+    type: 'object',
+    keys: {
+        title: {type: 'string', required: true},
+        description: {type: 'string', required: true},
+        baseUrl: {type: 'string', required: true},
+        nav: {
+            type: 'array',
+            default: [],
+            items: {type: 'object', keys: {url: {type: 'string', required: true}, text: {type: 'string', required: true}}}
+        },
+        testDir: FILE_NAME,
+        outputDir: {
+            type: 'object',
+            keys: {
+                dir: FILE_NAME,
+                dirs: {type: 'object', keys: dirKeys(['content', 'js', 'css', 'posts', 'tags', 'listing', 'assets'])}
+            }
+        },
+        inputDir: {
+            type: 'object',
+            keys: {
+                dir: FILE_NAME,
+                dirs: {type: 'object', keys: dirKeys(['posts', 'templates', 'css', 'js', 'content', 'assets'])}
+            }
+        },
+        lessFilesToOutput: {type: 'array', items: {type: 'array', length: 2, items: FILE_NAME}},
+        jsBundles: {type: 'array', items: {type: 'array', length: 2, items: {type: ['array', 'string']}}},
+        fingerprint: {type: 'object', keys: {css: OFF, js: OFF, assets: {type: 'array', default: [], items: STRING}}},
+        html: {type: 'object', keys: {minify: OFF, lazyImages: OFF, criticalCss: FILE_NAME}},
+        permalink: FILE_NAME,
+        slug: {
+            type: 'object',
+            keys: {lowercase: BOOLEAN, replace: {type: 'array', items: {type: 'array', length: 2, items: STRING}}}
+        },
+        cacheFile: {type: ['string', 'boolean']},
+        drafts: BOOLEAN,
+        plugins: {type: 'array', items: {type: ['string', 'array']}},
+        markdown: {
+            type: 'object',
+            keys: {
+                anchors: OFF,
+                wordsPerMinute: {type: 'number', min: 1},
+                options: {type: 'object'},
+                plugins: {type: 'array', items: {type: ['string', 'array']}},
+                math: OFF,
+                // Dot needs nothing else, mermaid needs the mermaid CLI.
+                diagrams: {type: 'array', default: ['dot'], items: {type: 'string', values: diagrams.LANGUAGES}},
+                mermaidCommand: FILE_NAME,
+                code: {type: 'object', keys: {autoDetect: BOOLEAN, lineNumbers: BOOLEAN, copy: BOOLEAN}}
+            }
+        },
+        tags: {
+            type: 'object',
+            optional: true,
+            keys: {template: FILE_NAME, cloudTemplate: {type: ['string', 'boolean']}, cloudFileName: FILE_NAME}
+        },
+        listing: {type: 'object', optional: true, keys: {template: FILE_NAME, pageSize: {type: 'number', min: 1}}},
+        archive: {type: 'object', optional: true, keys: {template: FILE_NAME, fileName: FILE_NAME}},
+        sitemap: {type: 'object', optional: true, keys: {fileName: FILE_NAME}},
+        search: {
+            type: 'object',
+            optional: true,
+            keys: {template: FILE_NAME, fileName: FILE_NAME, indexFileName: FILE_NAME, summariesOnly: BOOLEAN}
+        },
+        robots: {
+            type: 'object',
+            optional: true,
+            keys: {fileName: FILE_NAME, userAgent: STRING, disallow: {type: 'array', items: STRING}}
+        },
+        feed: {
+            type: 'object',
+            keys: {
+                items: {type: 'number', min: 0},
+                rss: {type: ['string', 'boolean']},
+                atom: {type: ['string', 'boolean']},
+                fullContent: BOOLEAN
+            }
+        }
+    }
+};
+
+module.exports.defaultConfig = defaultConfig;
+module.exports.validate = validate;
+module.exports.requiredTemplates = requiredTemplates;
+module.exports.checkFiles = checkFiles;
+module.exports.SCHEMA = SCHEMA;
+
+
+/**
+ * The default config, written by init and used for anything a config leaves out. Some keys have example values
+ * that turn features on, the schema defaults of those are used instead.
+ * WebStorm/Intellij pulls the template for the site object type from here.. somehow.
+ * @return {{}} - A new copy of the config.
+ */
+function defaultConfig() {
+    let site = {
+        title: 'a neat site',
+        description: 'a rather neat site',
+        baseUrl: 'https://t3hmun.github.io',
+        nav: [
+            {url: 'index.html', text: 'Home'},
+            {url: 'info.html', text: 'Info'},
+            {url: 'archive.html', text: 'Archive'},
+            {url: 'tags.html', text: 'Tags'},
+            {url: 'search.html', text: 'Search'}
+        ],
+        testDir: './preview',
+        outputDir: {
+            dir: './pages',
+            dirs: {
+                content: './',
+                js: 'js',
+                css: 'css',
+                posts: 'posts',
+                tags: 'tags',
+                listing: 'page',
+                assets: './'
+            }
+        },
+        inputDir: {
+            dir: './input',
+            dirs: {
+                posts: 'posts',
+                templates: 'templates',
+                css: 'css',
+                js: 'js',
+                content: 'content',
+                assets: 'assets'
+            }
+        },
+        lessFilesToOutput: [['main.less', 'main.css']],
+        jsBundles: [],
+        fingerprint: {
+            css: true,
+            js: true,
+            assets: []
+        },
+        html: {
+            minify: true,
+            lazyImages: true
+        },
+        permalink: urls.DEFAULT_PERMALINK,
+        slug: urls.DEFAULT_SLUG_RULES,
+        cacheFile: '.t3hpub-cache.json',
+        plugins: [],
+        markdown: {
+            anchors: true,
+            wordsPerMinute: 200,
+            options: {},
+            plugins: [],
+            math: true,
+            diagrams: ['dot'],
+            mermaidCommand: diagrams.DEFAULT_MERMAID_COMMAND,
+            code: code.DEFAULT_CODE_CONFIG
+        },
+        tags: {
+            template: 'tag',
+            cloudTemplate: 'tags',
+            cloudFileName: 'tags.html'
+        },
+        listing: {
+            template: 'listing',
+            pageSize: 10
+        },
+        archive: {
+            template: 'archive',
+            fileName: 'archive.html'
+        },
+        sitemap: {
+            fileName: 'sitemap.xml'
+        },
+        search: {
+            template: 'search',
+            fileName: 'search.html',
+            indexFileName: 'search.json',
+            summariesOnly: false
+        },
+        robots: {
+            fileName: 'robots.txt',
+            userAgent: '*',
+            disallow: []
+        },
+        feed: {
+            items: 20,
+            rss: 'feed.xml',
+            atom: 'atom.xml',
+            fullContent: true
+        }
+    };
+    // The shared constants must not be changed through a config.
+    return JSON.parse(JSON.stringify(site));
+}
+
+/**
+ * Checks a config against the schema and fills in the defaults for anything left out.
+ * Calling it again on the same config changes nothing, e.g. for each rebuild of the preview server.
+ * @param {{}} site - Site config, modified in place.
+ * @return {string[]} - Warnings, keys that look like typos of a key that isn't set.
+ * @throws {ConfigError} - Listing every problem, each names the key, e.g. 'outputDir.dir must be a string'.
+ */
+function validate(site) {
+    let problems = [];
+    let warnings = [];
+    checkValue(site, SCHEMA, defaultConfig(), '', problems, warnings);
+    if (problems.length > 0) {
+        throw new errors.ConfigError(`Invalid config:\n  ${problems.join('\n  ')}`, {problems: problems});
+    }
+    return warnings;
+}
+
+/**
+ * Checks a value against its rule, adding what's wrong to the problems.
+ * @param {*} value - The value.
+ * @param {{}} rule - Its rule from the schema.
+ * @param {*} fallback - The default value, for filling in the keys of objects.
+ * @param {string} key - Path of the value for the messages, e.g. 'outputDir.dirs', '' for the config itself.
+ * @param {string[]} problems - Problems found so far.
+ * @param {string[]} warnings - Warnings so far.
+ * @return {void}
+ */
+function checkValue(value, rule, fallback, key, problems, warnings) {
+    let name = key || 'The config';
+    let types = [].concat(rule.type);
+    let type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    if (types.indexOf(type) == -1) {
+        problems.push(`${name} must be ${types.map(describeType).join(' or ')}, not ${JSON.stringify(value)}.`);
+        return;
+    }
+    if (rule.values && rule.values.indexOf(value) == -1) {
+        problems.push(`${name} must be one of ${rule.values.join(', ')}, not ${JSON.stringify(value)}.`);
+    }
+    if (type == 'number' && rule.min !== undefined && value < rule.min) {
+        problems.push(`${name} must be at least ${rule.min}, not ${value}.`);
+    }
+    if (type == 'string' && rule.nonEmpty && value == '') {
+        problems.push(`${name} must not be empty.`);
+    }
+    if (type == 'array' && rule.length !== undefined && value.length != rule.length) {
+        problems.push(`${name} must have ${rule.length} items, not ${value.length}.`);
+    }
+    if (type == 'array' && rule.items) {
+        value.forEach((item, i) => checkValue(item, rule.items, undefined, `${key}[${i}]`, problems, warnings));
+    }
+    if (type == 'object' && rule.keys) {
+        checkKeys(value, rule, fallback || {}, key, problems, warnings);
+    }
+}
+
+/**
+ * Checks the keys of an object, fills in the defaults of the ones left out and warns about likely typos.
+ * @param {{}} obj - The object, modified in place.
+ * @param {{}} rule - Its rule from the schema.
+ * @param {{}} defaults - Its default value.
+ * @param {string} key - Path of the object for the messages.
+ * @param {string[]} problems - Problems found so far.
+ * @param {string[]} warnings - Warnings so far.
+ * @return {void}
+ */
+function checkKeys(obj, rule, defaults, key, problems, warnings) {
+    let prefix = key ? `${key}.` : '';
+    let unset = Object.keys(rule.keys).filter((name) => obj[name] === undefined);
+    Object.keys(obj).forEach((name) => {
+        // Typos are only warnings, a key could be for a template or plugin.
+        let meant = !rule.keys[name] && unset.find((known) => isTypo(name, known));
+        if (meant) warnings.push(`Unknown config key ${prefix}${name}, did you mean ${prefix}${meant}?`);
+    });
+    Object.keys(rule.keys).forEach((name) => {
+        let keyRule = rule.keys[name];
+        let fallback = keyRule.default !== undefined ? keyRule.default : defaults[name];
+        if (obj[name] !== undefined) {
+            checkValue(obj[name], keyRule, fallback, prefix + name, problems, warnings);
+        } else if (keyRule.required) {
+            problems.push(`${prefix}${name} is missing.`);
+        } else if (!keyRule.optional && keyRule.keys) {
+            // Filled in key by key, so that the defaults of the keys are used rather than the example values.
+            obj[name] = {};
+            checkValue(obj[name], keyRule, fallback, prefix + name, problems, warnings);
+        } else if (!keyRule.optional && fallback !== undefined) {
+            obj[name] = JSON.parse(JSON.stringify(fallback));
+        }
+    });
+}
+
+/**
+ * @param {string} type - Type from the schema.
+ * @return {string} - The type for the messages.
+ */
+function describeType(type) {
+    return {
+        string: 'a string',
+        number: 'a number',
+        boolean: 'true or false',
+        object: 'an object',
+        array: 'a list'
+    }[type];
+}
+
+/**
+ * Checks if a key is probably a typo of another, differing in case or by up to 2 edits.
+ * @param {string} name - The unknown key.
+ * @param {string} known - A key from the schema.
+ * @return {boolean} - True if it looks like a typo.
+ */
+function isTypo(name, known) {
+    let a = name.toLowerCase();
+    let b = known.toLowerCase();
+    if (Math.abs(a.length - b.length) > 2) return false;
+    // Levenshtein distance, one row at a time.
+    let row = Array.from({length: b.length + 1}, (v, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row.slice();
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+        }
+    }
+    return row[b.length] <= 2;
+}
+
+/**
+ * The templates the config needs, every one of them must be in the templates dir before rendering starts.
+ * @param {{}} site - Validated site config.
+ * @return {[]} - List of [template name, the config key or what needs it].
+ */
+function requiredTemplates(site) {
+    let required = [['post', 'the posts']];
+    if (site.tags) {
+        required.push([site.tags.template, 'tags.template']);
+        if (site.tags.cloudTemplate) required.push([site.tags.cloudTemplate, 'tags.cloudTemplate']);
+    }
+    if (site.listing) required.push([site.listing.template, 'listing.template']);
+    if (site.archive) required.push([site.archive.template, 'archive.template']);
+    if (site.search) required.push([site.search.template, 'search.template']);
+    return required;
+}
+
+/**
+ * Checks that the input files named in the config exist, so that a typo is reported with its key.
+ * @param {{}} site - Validated site config, the input dirs must be resolved.
+ * @return {Promise} - Rejects with a ConfigError listing the missing files.
+ */
+function checkFiles(site) {
+    let cssDir = site.inputDir.full.css;
+    let named = site.lessFilesToOutput.map(([lessFile], i) => [`lessFilesToOutput[${i}][0]`, lessFile]);
+    if (site.html.criticalCss) named.push(['html.criticalCss', site.html.criticalCss]);
+    return Promise.all(named.map(([key, file]) => {
+        let filePath = path.join(cssDir, file);
+        return files.stat(filePath).then(() => null, () => `${key}: ${filePath} does not exist.`);
+    })).then((missing) => {
+        missing = missing.filter((problem) => problem);
+        if (missing.length > 0) {
+            throw new errors.ConfigError(`Invalid config:\n  ${missing.join('\n  ')}`, {problems: missing});
+        }
+    });
+}
+
+/**
+ * @param {string[]} names - Keys of a dirs object.
+ * @return {{}} - Rules for the keys, each a dir name.
+ */
+function dirKeys(names) {
+    let keys = {};
+    names.forEach((name) => {
+        keys[name] = FILE_NAME;
+    });
+    return keys;
+}
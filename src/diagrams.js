@@ -0,0 +1,112 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Diagrams in fenced code blocks rendered to inline SVG at build time.
+ * ```dot blocks use Graphviz compiled to JS (viz.js), ```mermaid blocks use the mermaid CLI (mmdc from
+ * mermaid.cli), which renders in a local headless browser. Neither needs a network connection.
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LANGUAGES = ['dot', 'mermaid'];
+const DEFAULT_MERMAID_COMMAND = 'mmdc';
+
+// Loaded on first use, it is large and most posts have no diagrams.
+let viz = null;
+
+module.exports.render = render;
+module.exports.LANGUAGES = LANGUAGES;
+module.exports.DEFAULT_MERMAID_COMMAND = DEFAULT_MERMAID_COMMAND;
+
+
+/**
+ * Renders a diagram to SVG for inlining in a page.
+ * @param {string} lang - 'dot' or 'mermaid'.
+ * @param {string} source - The diagram source.
+ * @param {{}} [options] - {mermaidCommand}, the command that runs the mermaid CLI.
+ * @return {string} - The SVG element, without the XML declaration and doctype.
+ * @throws {Error} - If the diagram is invalid or the renderer is missing, a missing renderer has the command in
+ * err.missingRenderer.
+ */
+function render(lang, source, options) {
+    options = options || {};
+    let svg;
+    if (lang == 'dot') {
+        svg = renderDot(source);
+    } else if (lang == 'mermaid') {
+        svg = renderMermaid(source, options.mermaidCommand || DEFAULT_MERMAID_COMMAND);
+    } else {
+        throw new Error(`Unknown diagram language '${lang}'.`);
+    }
+    // Only the <svg> element is valid inside HTML.
+    let start = svg.indexOf('<svg');
+    return start == -1 ? svg : svg.slice(start).trim();
+}
+
+/**
+ * Renders Graphviz dot.
+ * @param {string} source - The dot source.
+ * @return {string} - SVG document.
+ * @throws {Error} - Graphviz syntax errors.
+ */
+function renderDot(source) {
+    // Requiring viz.js again returns its emscripten module instead of the function, e.g. for the next build of the
+    // preview server.
+    viz = viz || require('viz.js');
+    try {
+        return viz(source, {format: 'svg'});
+    } catch (err) {
+        throw new Error(`dot diagram error: ${String(err.message || err).trim()}`);
+    }
+}
+
+/**
+ * Renders mermaid by running the mermaid CLI on a temporary file.
+ * @param {string} source - The mermaid source.
+ * @param {string} command - The mermaid CLI command.
+ * @return {string} - SVG document.
+ * @throws {Error} - If the CLI is missing (err.missingRenderer) or fails, with its output.
+ */
+function renderMermaid(source, command) {
+    let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 't3hpub-mermaid-'));
+    let input = path.join(tmpDir, 'diagram.mmd');
+    let output = path.join(tmpDir, 'diagram.svg');
+    try {
+        fs.writeFileSync(input, source);
+        childProcess.execFileSync(command, ['-i', input, '-o', output], {stdio: 'pipe'});
+        return fs.readFileSync(output, 'utf8');
+    } catch (err) {
+        if (err.code == 'ENOENT' && err.syscall && err.syscall.startsWith('spawn')) {
+            throw Object.assign(new Error(`'${command}' not found, install mermaid.cli to render mermaid diagrams.`), {
+                missingRenderer: command
+            });
+        }
+        let detail = err.stderr && err.stderr.toString().trim() || err.message;
+        throw new Error(`mermaid diagram error: ${detail}`);
+    } finally {
+        fs.readdirSync(tmpDir).forEach((fileName) => fs.unlinkSync(path.join(tmpDir, fileName)));
+        fs.rmdirSync(tmpDir);
+    }
+}
@@ -0,0 +1,126 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Errors that fail a build. Every error from build() is a BuildError, the sub-classes say which part of the site is
+ * wrong and carry the details as properties, e.g. the file.
+ */
+
+/**
+ * Base class, also used for anything that doesn't fit the others, e.g. a file that can't be written.
+ * @property {Error} [cause] - The original error if this one wraps it.
+ */
+class BuildError extends Error {
+    /**
+     * @param {string} message - What went wrong.
+     * @param {{}} [details] - Properties to add, e.g. {file}.
+     */
+    constructor(message, details) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, details);
+    }
+}
+
+/**
+ * The config file is missing or invalid.
+ * @property {string} [file] - Path of the config file.
+ */
+class ConfigError extends BuildError {}
+
+/**
+ * A post can't be loaded, e.g. bad front matter, math or date.
+ * @property {string} file - Path of the post.
+ * @property {number} [line] - Line in the post, if known.
+ */
+class PostError extends BuildError {}
+
+/**
+ * A template is missing or fails to compile or render.
+ * @property {string} template - Name of the template.
+ * @property {string} [file] - Path of the template that failed to compile or the page that failed to render.
+ * @property {number} [line] - Line in the template, if pug knows it.
+ */
+class TemplateError extends BuildError {}
+
+/**
+ * A LESS file fails to render.
+ * @property {string} [file] - Path of the LESS file with the error.
+ * @property {number} [line] - Line of the error.
+ */
+class StyleError extends BuildError {}
+
+/**
+ * A JS file has a syntax error or a bundle is wrong.
+ */
+class ScriptError extends BuildError {}
+
+/**
+ * A plugin can't be loaded or a hook failed.
+ * @property {string} plugin - Name of the plugin.
+ * @property {string} [hook] - The hook that failed.
+ */
+class PluginError extends BuildError {}
+
+/**
+ * The link check found broken links, the site was still built.
+ * @property {BrokenLink[]} brokenLinks - The broken links.
+ * @property {BuildReport} report - The report of the build.
+ */
+class LinkCheckError extends BuildError {}
+
+/**
+ * Some posts, pages or files failed, everything else was built and written.
+ * @property {BuildError[]} errors - Every error, e.g. a PostError for each broken post.
+ * @property {BuildResult} report - What was built.
+ */
+class BuildFailedError extends BuildError {}
+
+/**
+ * Wraps an error in a BuildError type, keeping the message. BuildErrors are returned as they are.
+ * @param {Error} err - The error, anything with a message works, e.g. the errors from LESS.
+ * @param {function} [Type] - The BuildError class to use, defaults to BuildError.
+ * @param {{}} [details] - Properties to add, e.g. {file}, a message replaces the original one.
+ * @return {BuildError} - The error.
+ */
+function wrap(err, Type, details) {
+    if (err instanceof BuildError) return err;
+    Type = Type || BuildError;
+    details = Object.assign({message: err && err.message ? err.message : String(err)}, details);
+    let message = details.message;
+    delete details.message;
+    let wrapped = new Type(message, Object.assign({cause: err}, details));
+    // Keep the stack of the original, it shows where the problem is.
+    if (err && err.stack) wrapped.stack = `${wrapped.name}: ${message}\n${err.stack.split('\n').slice(1).join('\n')}`;
+    return wrapped;
+}
+
+// Classes are not hoisted, so unlike the other modules the exports come last.
+module.exports.BuildError = BuildError;
+module.exports.ConfigError = ConfigError;
+module.exports.PostError = PostError;
+module.exports.TemplateError = TemplateError;
+module.exports.StyleError = StyleError;
+module.exports.ScriptError = ScriptError;
+module.exports.PluginError = PluginError;
+module.exports.LinkCheckError = LinkCheckError;
+module.exports.BuildFailedError = BuildFailedError;
+module.exports.wrap = wrap;
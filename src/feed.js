@@ -0,0 +1,181 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Generates the RSS 2.0 and Atom feeds from the loaded posts.
+ */
+
+const DEFAULT_FEED_CONFIG = {
+    items: 20,
+    rss: 'feed.xml',
+    atom: 'atom.xml',
+    fullContent: true
+};
+
+module.exports.generateFeeds = generateFeeds;
+module.exports.plugin = plugin;
+module.exports.escapeXml = escapeXml;
+module.exports.DEFAULT_FEED_CONFIG = DEFAULT_FEED_CONFIG;
+
+
+/**
+ * Generates all the feeds enabled in the config. Set a feed file name to false to disable that feed.
+ * @param {{}} site - Site config, uses site.feed for the feed options.
+ * @param {Post[]} posts - All the loaded posts, must still have their converted markdown in post.content.
+ * @return {{}[]} - List of {fileName, xml}.
+ */
+function generateFeeds(site, posts) {
+    let conf = Object.assign({}, DEFAULT_FEED_CONFIG, site.feed);
+    let items = posts.slice().sort((a, b) => b.date - a.date).slice(0, conf.items).map((post) => {
+        return {
+            title: post.title,
+            link: `${site.baseUrl}/${site.outputDir.dirs.posts}/${post.urlName}`,
+            date: post.date,
+            description: post.description || '',
+            tags: post.tags || [],
+            content: conf.fullContent ? post.content : summarise(post)
+        };
+    });
+
+    let feeds = [];
+    if (conf.rss) {
+        feeds.push({fileName: conf.rss, xml: renderRss(site, items, conf.rss)});
+    }
+    if (conf.atom) {
+        feeds.push({fileName: conf.atom, xml: renderAtom(site, items, conf.atom)});
+    }
+    return feeds;
+}
+
+/**
+ * The build step that adds the feeds to the outputs.
+ * @return {{}} - Hooks, see plugins.js.
+ */
+function plugin() {
+    return {
+        name: 'feed',
+        beforeWrite: (ctx) => {
+            generateFeeds(ctx.site, ctx.posts).forEach((item) => {
+                ctx.outputs.push({dir: ctx.site.outputDir.dir, fileName: item.fileName, data: item.xml});
+            });
+        }
+    };
+}
+
+/**
+ * Short HTML summary of a post, the description if there is one otherwise the first paragraph.
+ * @param {Post} post - The post, must have post.content.
+ * @return {string} - HTML summary.
+ */
+function summarise(post) {
+    if (post.description) return `<p>${escapeXml(post.description)}</p>`;
+    let firstPara = /<p>[\s\S]*?<\/p>/.exec(post.content);
+    return firstPara ? firstPara[0] : '';
+}
+
+/**
+ * Renders an RSS 2.0 feed.
+ * @param {{}} site - Site config.
+ * @param {{}[]} items - Feed items {title, link, date, description, tags, content}, newest first.
+ * @param {string} fileName - Name of the feed file, used for the self link.
+ * @return {string} - The feed XML.
+ */
+function renderRss(site, items, fileName) {
+    let lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom"' +
+        ' xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+        '<channel>',
+        `<title>${escapeXml(site.title)}</title>`,
+        `<link>${escapeXml(site.baseUrl)}/</link>`,
+        `<description>${escapeXml(site.description)}</description>`,
+        `<atom:link href="${escapeXml(site.baseUrl + '/' + fileName)}" rel="self" type="application/rss+xml"/>`
+    ];
+    if (items.length > 0) {
+        lines.push(`<lastBuildDate>${items[0].date.toUTCString()}</lastBuildDate>`);
+    }
+    items.forEach((item) => {
+        lines.push(
+            '<item>',
+            `<title>${escapeXml(item.title)}</title>`,
+            `<link>${escapeXml(item.link)}</link>`,
+            `<guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+            `<pubDate>${item.date.toUTCString()}</pubDate>`,
+            `<description>${escapeXml(item.description)}</description>`,
+            ...item.tags.map((tag) => `<category>${escapeXml(tag)}</category>`),
+            `<content:encoded>${escapeXml(item.content)}</content:encoded>`,
+            '</item>'
+        );
+    });
+    lines.push('</channel>', '</rss>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Renders an Atom feed.
+ * @param {{}} site - Site config.
+ * @param {{}[]} items - Feed items {title, link, date, description, tags, content}, newest first.
+ * @param {string} fileName - Name of the feed file, used for the self link.
+ * @return {string} - The feed XML.
+ */
+function renderAtom(site, items, fileName) {
+    // Atom requires an updated date even if there is nothing in the feed.
+    let updated = items.length > 0 ? items[0].date : new Date();
+    let lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `<title>${escapeXml(site.title)}</title>`,
+        `<subtitle>${escapeXml(site.description)}</subtitle>`,
+        `<link href="${escapeXml(site.baseUrl)}/"/>`,
+        `<link href="${escapeXml(site.baseUrl + '/' + fileName)}" rel="self"/>`,
+        `<id>${escapeXml(site.baseUrl)}/</id>`,
+        `<updated>${updated.toISOString()}</updated>`
+    ];
+    items.forEach((item) => {
+        lines.push(
+            '<entry>',
+            `<title>${escapeXml(item.title)}</title>`,
+            `<link href="${escapeXml(item.link)}"/>`,
+            `<id>${escapeXml(item.link)}</id>`,
+            `<updated>${item.date.toISOString()}</updated>`,
+            `<summary>${escapeXml(item.description)}</summary>`,
+            ...item.tags.map((tag) => `<category term="${escapeXml(tag)}"/>`),
+            `<content type="html">${escapeXml(item.content)}</content>`,
+            '</entry>'
+        );
+    });
+    lines.push('</feed>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for use in XML text and attribute values.
+ * @param {string} text - Raw text.
+ * @return {string} - Escaped text.
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,186 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Recursive versions of the t3h-fs-helper dir reading, for input dirs organised in sub-dirs, and file copying.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const t3hfs = require('t3h-fs-helper');
+
+module.exports.readFilesRecursive = readFilesRecursive;
+module.exports.listDirsRecursive = listDirsRecursive;
+module.exports.listFilesRecursive = listFilesRecursive;
+module.exports.copyFile = copyFile;
+module.exports.stat = stat;
+module.exports.remove = remove;
+
+
+/**
+ * Reads all the files in a dir and its sub-dirs.
+ * @param {string} dir - The dir to read.
+ * @param {function} [filter] - Called with each file name, return true to read the file.
+ * @return {Promise.<{}[]>} - List of {name, path, dir, data, relDir, relPath}, relDir is the sub-dir relative to the
+ * dir read using / separators ('' for files directly in it), relPath is relDir joined with the name.
+ */
+function readFilesRecursive(dir, filter) {
+    return listDirsRecursive(dir).then((dirs) => {
+        return Promise.all(dirs.map((subDir) => {
+            let relDir = path.relative(dir, subDir).split(path.sep).join('/');
+            // The sub-dirs are read separately, so they must not be read as files.
+            let fileFilter = (fileName) => {
+                return !fs.statSync(path.join(subDir, fileName)).isDirectory() && (!filter || filter(fileName));
+            };
+            return t3hfs.readFilesInDir(subDir, fileFilter).then((files) => {
+                files.forEach((file) => {
+                    file.relDir = relDir;
+                    file.relPath = relDir ? `${relDir}/${file.name}` : file.name;
+                });
+                return files;
+            });
+        }));
+    }).then((nested) => {
+        return [].concat(...nested);
+    });
+}
+
+/**
+ * Lists a dir and all of its sub-dirs.
+ * @param {string} dir - The dir to start from.
+ * @return {Promise.<string[]>} - The dir followed by its sub-dirs, parents before children.
+ */
+function listDirsRecursive(dir) {
+    return subDirs(dir).then((children) => {
+        return Promise.all(children.map(listDirsRecursive));
+    }).then((nested) => {
+        return [dir].concat(...nested);
+    });
+}
+
+/**
+ * Lists all the files in a dir and its sub-dirs without reading them, for copying files that may not be text.
+ * @param {string} dir - The dir to list.
+ * @return {Promise.<{}[]>} - List of {path, relPath, stats}, relPath is relative to the dir using / separators.
+ */
+function listFilesRecursive(dir) {
+    return listDirsRecursive(dir).then((dirs) => {
+        return Promise.all(dirs.map(listEntries));
+    }).then((nested) => {
+        return [].concat(...nested).filter((entry) => entry.stats.isFile()).map((entry) => {
+            entry.relPath = path.relative(dir, entry.path).split(path.sep).join('/');
+            return entry;
+        });
+    });
+}
+
+/**
+ * Copies a file as is, works for binary files unlike reading and writing through t3h-fs-helper.
+ * The destination dir must already exist.
+ * @param {string} src - Path of the file to copy.
+ * @param {string} dest - Path to copy to, overwritten if it exists.
+ * @return {Promise} - Resolves when copied.
+ */
+function copyFile(src, dest) {
+    return new Promise((resolve, reject) => {
+        let reader = fs.createReadStream(src);
+        let writer = fs.createWriteStream(dest);
+        reader.on('error', reject);
+        writer.on('error', reject);
+        writer.on('finish', resolve);
+        reader.pipe(writer);
+    });
+}
+
+/**
+ * Promise version of fs.stat.
+ * @param {string} filePath - Path of the file or dir.
+ * @return {Promise.<fs.Stats>} - The stats.
+ */
+function stat(filePath) {
+    return new Promise((resolve, reject) => {
+        fs.stat(filePath, (err, stats) => {
+            if (err) reject(err);
+            else resolve(stats);
+        });
+    });
+}
+
+/**
+ * Deletes a file, or a dir and everything in it. Symlinks are deleted, not followed.
+ * @param {string} target - Path of the file or dir.
+ * @return {Promise.<boolean>} - True if it was deleted, false if it didn't exist.
+ */
+function remove(target) {
+    let call = (func, ...args) => new Promise((resolve, reject) => {
+        func(...args, (err, result) => {
+            if (err) reject(err);
+            else resolve(result);
+        });
+    });
+    return call(fs.lstat, target).then((stats) => {
+        if (!stats.isDirectory()) return call(fs.unlink, target);
+        return call(fs.readdir, target).then((names) => {
+            return Promise.all(names.map((name) => remove(path.join(target, name))));
+        }).then(() => {
+            return call(fs.rmdir, target);
+        });
+    }).then(() => {
+        return true;
+    }, (err) => {
+        if (err.code == 'ENOENT') return false;
+        throw err;
+    });
+}
+
+/**
+ * Lists the sub-dirs directly within a dir.
+ * @param {string} dir - The dir.
+ * @return {Promise.<string[]>} - Paths of the sub-dirs.
+ */
+function subDirs(dir) {
+    return listEntries(dir).then((entries) => {
+        return entries.filter((entry) => entry.stats.isDirectory()).map((entry) => entry.path);
+    });
+}
+
+/**
+ * Lists everything directly within a dir.
+ * @param {string} dir - The dir.
+ * @return {Promise.<{}[]>} - List of {path, stats}.
+ */
+function listEntries(dir) {
+    return new Promise((resolve, reject) => {
+        fs.readdir(dir, (err, names) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(names.map((name) => path.join(dir, name)));
+        });
+    }).then((paths) => {
+        return Promise.all(paths.map((filePath) => {
+            return stat(filePath).then((stats) => {
+                return {path: filePath, stats: stats};
+            });
+        }));
+    });
+}
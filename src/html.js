@@ -0,0 +1,141 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Final pass over every rendered page before it is written: image attributes, critical CSS and minification.
+ * Also the HTML escaping used by everything that writes HTML by hand.
+ */
+
+const htmlMinifier = require('html-minifier');
+const imageSize = require('image-size');
+const buildCache = require('./cache');
+
+// Whitespace inside pre (code blocks) and textarea is always kept by html-minifier.
+const MINIFY_OPTIONS = {
+    collapseWhitespace: true,
+    removeComments: true,
+    collapseBooleanAttributes: true,
+    minifyCSS: true
+};
+const IMAGE_EXTS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp'];
+
+module.exports.createProcessor = createProcessor;
+module.exports.measureImages = measureImages;
+module.exports.IMAGE_EXTS = IMAGE_EXTS;
+module.exports.escapeHtml = escapeHtml;
+
+
+/**
+ * @typedef {Object} HtmlProcessor
+ * @property {string} key - Hash of the options, changes whenever the processing would give a different page.
+ * @property {function} process - Takes the HTML of a page and returns the processed HTML, null stays null (skipped).
+ */
+
+/**
+ * Creates the processor for the pages of a build.
+ * @param {{}} options - {minify, lazyImages, criticalCss, imageSizes}, imageSizes maps the full url of each local
+ * image to its {width, height}.
+ * @return {HtmlProcessor} - The processor.
+ */
+function createProcessor(options) {
+    let imageSizes = options.imageSizes || {};
+    let process = (html) => {
+        if (html === null) return html;
+        if (options.lazyImages) {
+            html = html.replace(/<img\b[^>]*>/gi, (tag) => addImageAttributes(tag, imageSizes));
+        }
+        if (options.criticalCss) {
+            html = insertStyle(html, `<style>${options.criticalCss}</style>`);
+        }
+        if (options.minify) {
+            html = htmlMinifier.minify(html, MINIFY_OPTIONS);
+        }
+        return html;
+    };
+    return {
+        key: buildCache.hash(options.minify, options.lazyImages, options.criticalCss, JSON.stringify(imageSizes)),
+        process: process
+    };
+}
+
+/**
+ * Reads the sizes of the images, anything that isn't an image or can't be read is left out.
+ * @param {[]} images - List of [url, filePath].
+ * @return {{}} - Map of url to {width, height}.
+ */
+function measureImages(images) {
+    let sizes = {};
+    images.forEach(([url, filePath]) => {
+        if (IMAGE_EXTS.indexOf(filePath.slice(filePath.lastIndexOf('.')).toLowerCase()) == -1) return;
+        try {
+            let size = imageSize(filePath);
+            sizes[url] = {width: size.width, height: size.height};
+        } catch (err) {
+            // Not every svg has a size, such images are just left without one.
+        }
+    });
+    return sizes;
+}
+
+/**
+ * Adds loading="lazy", width and height to an img tag that points at a local image, keeping any already set.
+ * @param {string} tag - The img tag.
+ * @param {{}} imageSizes - Map of url to {width, height}.
+ * @return {string} - The tag.
+ */
+function addImageAttributes(tag, imageSizes) {
+    let src = /\ssrc="([^"]*)"/i.exec(tag);
+    let size = src && imageSizes[src[1].replace(/&amp;/g, '&')];
+    if (!size) return tag;
+    let extra = '';
+    if (!/\sloading=/i.test(tag)) extra += ' loading="lazy"';
+    if (!/\s(width|height)=/i.test(tag)) extra += ` width="${size.width}" height="${size.height}"`;
+    let end = tag.endsWith('/>') ? tag.length - 2 : tag.length - 1;
+    return tag.slice(0, end).replace(/\s+$/, '') + extra + tag.slice(end);
+}
+
+/**
+ * Inserts the critical CSS before the first linked stylesheet so that the full stylesheets still override it.
+ * Pages with no linked stylesheet get it at the end of the head.
+ * @param {string} html - The page.
+ * @param {string} style - The style tag.
+ * @return {string} - The page, unchanged if it has no head.
+ */
+function insertStyle(html, style) {
+    let headEnd = html.indexOf('</head>');
+    if (headEnd == -1) return html;
+    let link = /<link\b[^>]*\brel=["']?stylesheet/i.exec(html.slice(0, headEnd));
+    let index = link ? link.index : headEnd;
+    return html.slice(0, index) + style + html.slice(index);
+}
+
+/**
+ * Escapes text for inserting into HTML.
+ * @param {string} text - Raw text.
+ * @return {string} - Escaped text.
+ */
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Bundles and minifies the JS. Production output is minified with a source map, test output is left readable.
+ * Either way every file is parsed, so a syntax error fails the build instead of being published.
+ */
+
+const uglify = require('uglify-es');
+const assets = require('./assets');
+const buildCache = require('./cache');
+
+module.exports.process = processJS;
+module.exports.planOutputs = planOutputs;
+module.exports.isScript = isScript;
+
+
+/**
+ * @typedef {Object} JSOutput
+ * @property {string} name - Output file name relative to the js output dir, without the fingerprint.
+ * @property {string} fileName - Output file name relative to the js output dir, fingerprinted if enabled.
+ * @property {{}[]} sources - The js files that went into it.
+ * @property {string} code - The JS.
+ * @property {string} [map] - The source map, only when minified.
+ */
+
+/**
+ * Only scripts are bundled and minified, anything else in the js dir, e.g. JSON data, is copied as it is.
+ * @param {string} fileName - Name or path of a file in the js dir.
+ * @return {boolean} - True if it is a script.
+ */
+function isScript(fileName) {
+    return fileName.endsWith('.js');
+}
+
+/**
+ * Works out the output files. Each bundle concatenates its files in order into one output, every file that isn't in
+ * a bundle is output on its own.
+ * @param {{}[]} jsFiles - The loaded js files {path, data, relPath}.
+ * @param {[]} bundles - List of [[relPath, ...], outputFileName] like lessFilesToOutput, may be undefined.
+ * @return {{}[]} - List of {name, fileName, sources} with nothing rendered yet.
+ */
+function planOutputs(jsFiles, bundles) {
+    let bundled = [];
+    let outputs = (bundles || []).map(([relPaths, fileName]) => {
+        let sources = relPaths.map((relPath) => {
+            let file = jsFiles.find((item) => item.relPath == relPath);
+            if (!file) {
+                throw new Error(`JS bundle '${fileName}' lists '${relPath}', which is not in the js dir.`);
+            }
+            bundled.push(file);
+            return file;
+        });
+        return {name: fileName, fileName: fileName, sources: sources};
+    });
+    jsFiles.forEach((file) => {
+        if (bundled.indexOf(file) != -1) return;
+        outputs.push({name: file.relPath, fileName: file.relPath, sources: [file]});
+    });
+    return outputs;
+}
+
+/**
+ * Renders the outputs planned by planOutputs.
+ * @param {{}[]} jsFiles - The loaded js files {path, data, relPath}.
+ * @param {[]} bundles - List of [[relPath, ...], outputFileName], may be undefined.
+ * @param {boolean} minify - True minifies and creates source maps (production), false keeps the code readable.
+ * @param {function} [skip] - Called with each {name, fileName, sources}, return true to leave it unrendered (cached).
+ * @param {boolean} [fingerprint] - True adds a hash of the code to the file names.
+ * @return {JSOutput[]} - The outputs, skipped ones have null code. Throws on syntax errors naming the file and line.
+ */
+function processJS(jsFiles, bundles, minify, skip, fingerprint) {
+    return planOutputs(jsFiles, bundles).map((output) => {
+        if (skip && skip(output)) {
+            output.code = null;
+            return output;
+        }
+        if (minify) {
+            let code = {};
+            output.sources.forEach((file) => {
+                code[file.relPath] = file.data;
+            });
+            let result = uglify.minify(code, {
+                sourceMap: {
+                    includeSources: true
+                }
+            });
+            if (result.error) throw syntaxError(result.error, output.sources);
+            if (fingerprint) {
+                output.fileName = assets.fingerprint(output.name, buildCache.hash(result.code));
+            }
+            // The map is written next to the output, so it is linked by the (fingerprinted) file name alone.
+            let name = output.fileName.split('/').pop();
+            let map = JSON.parse(result.map);
+            map.file = name;
+            output.code = `${result.code}\n//# sourceMappingURL=${name}.map`;
+            output.map = JSON.stringify(map);
+        } else {
+            output.sources.forEach((file) => {
+                try {
+                    uglify.parse(file.data, {filename: file.relPath});
+                } catch (err) {
+                    throw syntaxError(err, output.sources);
+                }
+            });
+            output.code = output.sources.map((file) => file.data).join('\n');
+            if (fingerprint) {
+                output.fileName = assets.fingerprint(output.name, buildCache.hash(output.code));
+            }
+        }
+        return output;
+    });
+}
+
+/**
+ * Creates an error that names the file and line, uglify only knows the name it was given.
+ * @param {{}} err - The uglify parse error {message, filename, line, col}.
+ * @param {{}[]} sources - The js files being processed.
+ * @return {Error} - The error.
+ */
+function syntaxError(err, sources) {
+    let file = sources.find((item) => item.relPath == err.filename);
+    let filePath = file ? file.path : err.filename;
+    return new Error(`${filePath}: JS error at line ${err.line}, column ${err.col + 1}: ${err.message}`);
+}
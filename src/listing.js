@@ -0,0 +1,125 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Splits the posts into pages for the paginated listings and groups them by date for the archive.
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+    'October', 'November', 'December'];
+
+module.exports.paginate = paginate;
+module.exports.archive = archive;
+
+
+/**
+ * @typedef {Object} Pagination
+ * @property {Post[]} posts - The posts on this page, newest first.
+ * @property {number} number - Page number starting at 1.
+ * @property {number} count - Total number of pages.
+ * @property {string} url - Link to this page relative to the baseUrl.
+ * @property {string} fileName - File name of the page within its dir.
+ * @property {string} prev - Link to the previous (newer) page, null on the first page.
+ * @property {string} next - Link to the next (older) page, null on the last page.
+ */
+
+/**
+ * Splits the posts into pages, newest first.
+ * The first page is index.html in the content dir, the rest are numbered pages in the listing dir (page/2.html).
+ * @param {Post[]} posts - All the posts.
+ * @param {number} pageSize - Posts per page.
+ * @param {string} contentLinkDir - Link dir of the first page.
+ * @param {string} listingLinkDir - Link dir of the numbered pages.
+ * @return {Pagination[]} - The pages, there is always at least one even if there are no posts.
+ */
+function paginate(posts, pageSize, contentLinkDir, listingLinkDir) {
+    let sorted = newestFirst(posts);
+    let count = Math.max(1, Math.ceil(sorted.length / pageSize));
+    let url = (number) => {
+        if (number == 1) return joinLink(contentLinkDir, 'index.html');
+        return joinLink(listingLinkDir, `${number}.html`);
+    };
+
+    let pages = [];
+    for (let number = 1; number <= count; number++) {
+        pages.push({
+            posts: sorted.slice((number - 1) * pageSize, number * pageSize),
+            number: number,
+            count: count,
+            url: url(number),
+            fileName: number == 1 ? 'index.html' : `${number}.html`,
+            prev: number > 1 ? url(number - 1) : null,
+            next: number < count ? url(number + 1) : null
+        });
+    }
+    return pages;
+}
+
+/**
+ * @typedef {Object} ArchiveYear
+ * @property {number} year - Full year, e.g. 2017.
+ * @property {{}[]} months - List of {month, name, posts}, month is 1 to 12, newest first.
+ */
+
+/**
+ * Groups the posts by year and month, newest first. Uses the UTC date, the same as the permalinks.
+ * @param {Post[]} posts - All the posts.
+ * @return {ArchiveYear[]} - The years that have posts.
+ */
+function archive(posts) {
+    let years = [];
+    newestFirst(posts).forEach((post) => {
+        // Post dates without a time are midnight UTC, the local date could be the day before.
+        let year = post.date.getUTCFullYear();
+        let month = post.date.getUTCMonth() + 1;
+        let lastYear = years[years.length - 1];
+        if (!lastYear || lastYear.year != year) {
+            lastYear = {year: year, months: []};
+            years.push(lastYear);
+        }
+        let lastMonth = lastYear.months[lastYear.months.length - 1];
+        if (!lastMonth || lastMonth.month != month) {
+            lastMonth = {month: month, name: MONTH_NAMES[month - 1], posts: []};
+            lastYear.months.push(lastMonth);
+        }
+        lastMonth.posts.push(post);
+    });
+    return years;
+}
+
+/**
+ * @param {Post[]} posts - The posts.
+ * @return {Post[]} - Sorted copy, newest first.
+ */
+function newestFirst(posts) {
+    return posts.slice().sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Joins a link dir and file name, leaving out empty and current dirs.
+ * @param {string} dir - Link dir from outputDir.dirs.
+ * @param {string} fileName - File name.
+ * @return {string} - Link relative to the baseUrl.
+ */
+function joinLink(dir, fileName) {
+    let trimmed = dir.replace(/^\.\/?/, '').replace(/\/$/, '');
+    return trimmed ? `${trimmed}/${fileName}` : fileName;
+}
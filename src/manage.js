@@ -0,0 +1,151 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Site management commands other than building: creating the config and input dirs, deleting the output and adding
+ * a post.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const t3hfs = require('t3h-fs-helper');
+const pub = require('./pub');
+const files = require('./files');
+const buildCache = require('./cache');
+const errors = require('./errors');
+
+module.exports.init = init;
+module.exports.clean = clean;
+module.exports.newPost = newPost;
+
+
+/**
+ * Writes the default config if there is none, otherwise creates the input dirs of the config.
+ * @param {string} [file] - Path of the config file, defaults to config.json in the current dir.
+ * @param {boolean} debug - Debug output setting.
+ * @return {Promise.<{}>} - {written, dirs}, written is true if the default config was written, otherwise dirs lists
+ * the input dirs.
+ */
+function init(file, debug) {
+    file = file || pub.CONFIG_FILE_NAME;
+    return pub.readConfig(file).then((site) => {
+        debug && console.log(site);
+        return createDirs(site, debug).then((dirs) => {
+            return {written: false, dirs: dirs};
+        });
+    }, (err) => {
+        if (!err.cause || err.cause.code != 'ENOENT') throw err;
+        let conf = pub.generateDefaultConfig();
+        return t3hfs.write(path.dirname(file), path.basename(file), conf).then(() => {
+            return {written: true, dirs: []};
+        });
+    });
+}
+
+/**
+ * Creates the input dirs in the config.
+ * @param {{}} site - Site config, the parsed config.json.
+ * @param {boolean} debug - Debug output setting.
+ * @return {Promise.<string[]>} - The dirs.
+ */
+function createDirs(site, debug) {
+    // Create dirs one after another.
+    // Do not do in parallel otherwise super-dir creation can collide and fail.
+    let chain = Promise.resolve();
+    let dirs = site.inputDir.dirs;
+    let created = [];
+    Object.keys(dirs).forEach((key) => {
+        let fullDir = path.join(site.inputDir.dir, dirs[key]);
+        chain = chain.then(() => {
+            return t3hfs.ensureDirCreated(fullDir).then(() => {
+                debug && console.log('created ' + fullDir);
+                created.push(fullDir);
+            });
+        });
+    });
+    return chain.then(() => {
+        return created;
+    });
+}
+
+/**
+ * Deletes the output dir, the test dir and the build cache file, so that the next build starts from nothing.
+ * @param {string} [file] - Path of the config file, defaults to config.json in the current dir.
+ * @param {string} [env] - Config overlay to merge, see pub.readConfig.
+ * @param {boolean} debug - Debug output setting.
+ * @return {Promise.<string[]>} - The paths deleted, ones that didn't exist are left out.
+ */
+function clean(file, env, debug) {
+    return pub.readConfig(file, env).then((site) => {
+        let cacheFile = site.cacheFile === undefined ? buildCache.DEFAULT_CACHE_FILE : site.cacheFile;
+        let targets = [site.outputDir.dir, site.testDir, cacheFile].filter((target) => target);
+        // A mistake in the config must not delete the site itself.
+        let keep = [process.cwd(), site.inputDir.dir, file || pub.CONFIG_FILE_NAME];
+        targets.forEach((target) => {
+            let inside = keep.find((kept) => {
+                let rel = path.relative(path.resolve(target), path.resolve(kept));
+                return !rel.startsWith('..') && !path.isAbsolute(rel);
+            });
+            if (inside) {
+                throw new errors.ConfigError(`Refusing to delete ${target}, it contains ${inside}.`);
+            }
+        });
+        let deleted = [];
+        return Promise.all(targets.map((target) => {
+            return files.remove(target).then((removed) => {
+                debug && console.log(`${removed ? 'deleted' : 'missing'}: ${target}`);
+                if (removed) deleted.push(target);
+            });
+        })).then(() => {
+            return deleted;
+        });
+    });
+}
+
+/**
+ * Creates a post named YYYY-MM-DD_Title.md in the posts dir, with empty front matter to fill in.
+ * @param {string} title - Title of the post.
+ * @param {{}} [options] - {config, env, date, draft}, date is YYYY-MM-DD (default today), draft marks it as a draft.
+ * @return {Promise.<string>} - Path of the new post, rejects if the file already exists.
+ */
+function newPost(title, options) {
+    options = options || {};
+    let date = options.date || pub.localDate(new Date());
+    // Characters that aren't allowed in file names on some systems.
+    let fileName = `${date}_${title.replace(/[\\/:*?"<>|]/g, '-')}.md`;
+    let lines = ['---', 'description: ""', 'tags: []'];
+    if (options.draft) lines.push('draft: true');
+    lines.push('---', '', '');
+    return pub.readConfig(options.config, options.env).then((site) => {
+        let dir = path.join(site.inputDir.dir, site.inputDir.dirs.posts);
+        let filePath = path.join(dir, fileName);
+        return t3hfs.ensureDirCreated(dir).then(() => {
+            return new Promise((resolve, reject) => {
+                // wx fails if the file exists, never overwrite a post.
+                fs.writeFile(filePath, lines.join('\n'), {flag: 'wx'}, (err) => {
+                    if (err && err.code == 'EEXIST') reject(new Error(`${filePath} already exists.`));
+                    else if (err) reject(err);
+                    else resolve(filePath);
+                });
+            });
+        });
+    });
+}
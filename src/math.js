@@ -0,0 +1,189 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Math in markdown, `$...$` inline and `$$...$$` display, rendered to static HTML with KaTeX at build time.
+ * The pages only need the KaTeX stylesheet and fonts, no client JS.
+ */
+
+const path = require('path');
+const katex = require('katex');
+const files = require('./files');
+
+// The stylesheet and the fonts it links relatively, copied with the assets under this sub-dir.
+const STYLE_DIR = 'katex';
+
+module.exports.plugin = plugin;
+module.exports.listStyleFiles = listStyleFiles;
+module.exports.STYLE_DIR = STYLE_DIR;
+
+
+/**
+ * markdown-it plugin that parses math and renders it once parsing is done, so errors can say which line they are on.
+ * @param {MarkdownIt} md - The markdown-it instance.
+ * @return {void}
+ */
+function plugin(md) {
+    // After escape so that \$ is a plain dollar.
+    md.inline.ruler.after('escape', 'math_inline', parseInline);
+    md.block.ruler.before('fence', 'math_block', parseBlock, {alt: ['paragraph', 'reference', 'blockquote', 'list']});
+    md.core.ruler.after('inline', 'math_render', renderAll);
+    md.renderer.rules.math_inline = (tokens, idx) => tokens[idx].meta.html;
+    md.renderer.rules.math_block = (tokens, idx) => `<div class="math">${tokens[idx].meta.html}</div>\n`;
+}
+
+/**
+ * Inline rule for `$...$` and `$$...$$`. The opening $ must not be followed by a space and the closing $ must not
+ * follow a space or be followed by a digit, so prices like $5 and $10 stay as text.
+ * @param {StateInline} state - markdown-it inline state.
+ * @param {boolean} silent - True if only checking for a match.
+ * @return {boolean} - True if math was found.
+ */
+function parseInline(state, silent) {
+    let src = state.src;
+    let start = state.pos;
+    if (src[start] != '$') return false;
+    let display = src[start + 1] == '$';
+    let marker = display ? '$$' : '$';
+    let contentStart = start + marker.length;
+    if (contentStart >= state.posMax || /\s/.test(src[contentStart])) return false;
+
+    let end = contentStart;
+    for (;;) {
+        end = src.indexOf(marker, end);
+        if (end == -1 || end >= state.posMax) return false;
+        // An escaped dollar is part of the math, e.g. $\$5$.
+        if (src[end - 1] == '\\') {
+            end++;
+            continue;
+        }
+        break;
+    }
+    if (end == contentStart || /\s/.test(src[end - 1]) || /\d/.test(src[end + marker.length] || '')) return false;
+
+    if (!silent) {
+        let token = state.push('math_inline', 'math', 0);
+        token.markup = marker;
+        token.content = src.slice(contentStart, end);
+        // Lines into the paragraph, for the error message.
+        token.meta = {display: display, line: src.slice(0, start).split('\n').length - 1};
+    }
+    state.pos = end + marker.length;
+    return true;
+}
+
+/**
+ * Block rule for display math, `$$` on its own line up to the next line ending in `$$`, or all on one line.
+ * @param {StateBlock} state - markdown-it block state.
+ * @param {number} startLine - Line to start at.
+ * @param {number} endLine - Last line of the block.
+ * @param {boolean} silent - True if only checking for a match.
+ * @return {boolean} - True if math was found.
+ */
+function parseBlock(state, startLine, endLine, silent) {
+    let lineText = (line) => state.src.slice(state.bMarks[line] + state.tShift[line], state.eMarks[line]).trim();
+    // Indented code, not math.
+    if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+    let first = lineText(startLine);
+    if (!first.startsWith('$$')) return false;
+
+    let content;
+    let line = startLine;
+    if (first.length > 4 && first.endsWith('$$')) {
+        content = first.slice(2, -2);
+    } else if (first == '$$') {
+        let lines = [];
+        for (;;) {
+            line++;
+            if (line >= endLine) return false;
+            let text = lineText(line);
+            if (text.endsWith('$$')) {
+                lines.push(text.slice(0, -2));
+                break;
+            }
+            lines.push(text);
+        }
+        content = lines.join('\n');
+    } else {
+        return false;
+    }
+    if (silent) return true;
+
+    let token = state.push('math_block', 'math', 0);
+    token.block = true;
+    token.markup = '$$';
+    token.content = content;
+    token.map = [startLine, line + 1];
+    token.meta = {display: true, line: 0};
+    state.line = line + 1;
+    return true;
+}
+
+/**
+ * Core rule that renders every math token to HTML in token.meta.html.
+ * @param {StateCore} state - markdown-it core state.
+ * @return {void}
+ * @throws {Error} - KaTeX errors, with the line the math is on.
+ */
+function renderAll(state) {
+    state.tokens.forEach((token) => {
+        if (token.type == 'math_block') {
+            render(token, token.map, state.env);
+        } else if (token.type == 'inline' && token.children) {
+            token.children.forEach((child) => {
+                if (child.type == 'math_inline') render(child, token.map, state.env);
+            });
+        }
+    });
+}
+
+/**
+ * Renders one math token.
+ * @param {Token} token - A math_inline or math_block token.
+ * @param {number[]} map - Line range of the block the math is in, for the error message.
+ * @param {{}} env - markdown-it env, env.firstLine is the line of the file that the markdown starts on.
+ * @return {void}
+ * @throws {Error} - KaTeX errors, with the line.
+ */
+function render(token, map, env) {
+    try {
+        token.meta.html = katex.renderToString(token.content, {displayMode: token.meta.display, throwOnError: true});
+    } catch (err) {
+        let line = map ? map[0] + token.meta.line + (env.firstLine || 1) : '?';
+        throw new Error(`line ${line}: ${err.message}`);
+    }
+}
+
+/**
+ * Lists the KaTeX stylesheet and fonts, named as assets so pages can link `asset('katex/katex.min.css')`.
+ * @return {Promise.<{}[]>} - The files {path, relPath, stats}, relPath within the assets dir.
+ */
+function listStyleFiles() {
+    let distDir = path.dirname(require.resolve('katex/dist/katex.min.css'));
+    return files.listFilesRecursive(distDir).then((styleFiles) => {
+        return styleFiles.filter((item) => {
+            return item.relPath == 'katex.min.css' || item.relPath.startsWith('fonts/');
+        }).map((item) => {
+            item.relPath = path.posix.join(STYLE_DIR, item.relPath);
+            return item;
+        });
+    });
+}
@@ -20,59 +20,429 @@
  */
 
 
-const markdownItOptions = {
-    highlight: function (str, lang) {
-        if (lang && highlightJs.getLanguage(lang)) {
-            try {
-                return highlightJs.highlight(lang, str).value;
+const fs = require('fs');
+const yaml = require('js-yaml');
+const toml = require('toml');
+const MarkdownIt = require('markdown-it');
+const buildCache = require('./cache');
+const math = require('./math');
+const diagrams = require('./diagrams');
+const code = require('./code');
+const pluginLoader = require('./plugins');
+const errors = require('./errors');
+
+// Average adult silent reading speed.
+const WORDS_PER_MINUTE = 200;
+
+// Used by convert unless it is given an instance from configure, plain markdown-it with highlighted code blocks.
+const DEFAULT_MARKDOWN_IT = createMarkdownIt({}, []);
+
+/**
+ * @typedef {Object} Conversion
+ * @property {string} html - The HTML, headings have ids.
+ * @property {{}[]} toc - The headings nested by level {level, text, id, children}.
+ * @property {number} wordCount - Words in the text, code blocks are not counted.
+ * @property {number} readingTime - Estimated minutes to read, at least 1.
+ * @property {string[]} warnings - Problems that did not stop the conversion, each starting with the line.
+ */
+
+/**
+ * @typedef {Object} Markdown
+ * @property {MarkdownIt} markdownIt - The instance, for convert.
+ * @property {string} key - Hash of the local plugin files, the config itself is not included.
+ */
+
+/**
+ * Converts markdown to HTML, giving every heading an id made from its text.
+ * @param {string} data - The markdown.
+ * @param {{}} [options] - {markdownIt, rewriteUrl, anchors, wordsPerMinute, firstLine}. markdownIt is the instance
+ * set up by configure, plain markdown-it if not set. rewriteUrl is called with the url of every link and image and
+ * returns the url to use instead. anchors adds a link to itself to every heading. firstLine is the line of the file
+ * the markdown starts on, for the line numbers in errors.
+ * @throws {Error} - If math or a diagram fails, with the line.
+ * @return {Conversion} - The HTML and what was found in it.
+ */
+module.exports.convert = function (data, options) {
+    let markdownIt = options && options.markdownIt || DEFAULT_MARKDOWN_IT;
+    let env = Object.assign({}, options, {warnings: []});
+    let tokens = markdownIt.parse(data, env);
+    let headings = addHeadingIds(tokens);
+    let wordCount = countWords(tokens);
+    return {
+        html: markdownIt.renderer.render(tokens, markdownIt.options, env),
+        toc: nestHeadings(headings),
+        wordCount: wordCount,
+        readingTime: Math.max(1, Math.round(wordCount / (env.wordsPerMinute || WORDS_PER_MINUTE))),
+        warnings: env.warnings
+    };
+};
+
+module.exports.configure = configure;
+module.exports.extractFrontmatter = extractFrontmatter;
+
+
+/**
+ * Sets up a markdown-it instance for convert from the markdown section of the config. Each build has its own, so
+ * builds with different configs can run at the same time.
+ * Plugins are [name, options] (or just the name), the name of an installed package or a path to a local JS file
+ * relative to the site dir. Local plugins are reloaded every time, so the preview server picks up changes.
+ * @param {{}} [conf] - {options, plugins, math, diagrams, mermaidCommand, code}, options are passed to markdown-it.
+ * math enables $ math, diagrams is the list of diagram languages to render, code is the code block config.
+ * @return {Markdown} - The instance and the hash of the local plugins.
+ * @throws {PluginError} - If a plugin can't be loaded or fails to install, naming the plugin.
+ */
+function configure(conf) {
+    conf = conf || {};
+    let sources = [];
+    let plugins = (conf.plugins || []).map((plugin) => {
+        let [name, options] = Array.isArray(plugin) ? plugin : [plugin];
+        let loaded = loadPlugin(name);
+        if (loaded.file) sources.push(loaded.file, fs.readFileSync(loaded.file, 'utf8'));
+        return {name: name, func: loaded.func, options: options};
+    });
+    return {
+        markdownIt: createMarkdownIt(conf, plugins),
+        key: buildCache.hash(...sources)
+    };
+}
+
+/**
+ * Loads a markdown-it plugin.
+ * @param {string} name - Package name or path to a JS file.
+ * @return {{}} - {func, file}, file is the path of a local plugin, undefined for packages.
+ */
+function loadPlugin(name) {
+    let module;
+    try {
+        module = pluginLoader.requireModule(name, 'Markdown plugin');
+    } catch (err) {
+        throw errors.wrap(err, errors.PluginError, {plugin: name});
+    }
+    let func = module.exports;
+    // ES module style packages put the plugin on default.
+    if (typeof func != 'function' && func && typeof func.default == 'function') func = func.default;
+    if (typeof func != 'function') {
+        throw new errors.PluginError(`Markdown plugin '${name}' does not export a function.`, {plugin: name});
+    }
+    return {func: func, file: module.file};
+}
+
+/**
+ * Creates a markdown-it instance with the plugins and the rules that convert relies on.
+ * @param {{}} conf - The markdown config, see configure.
+ * @param {{}[]} plugins - List of {name, func, options}.
+ * @return {MarkdownIt} - The instance.
+ */
+function createMarkdownIt(conf, plugins) {
+    let instance = new MarkdownIt(Object.assign({}, conf.options));
+    if (conf.math) instance.use(math.plugin);
+    plugins.forEach((plugin) => {
+        try {
+            instance.use(plugin.func, plugin.options);
+        } catch (err) {
+            throw errors.wrap(err, errors.PluginError, {
+                plugin: plugin.name,
+                message: `Markdown plugin '${plugin.name}' failed: ${err.message}`
+            });
+        }
+    });
+
+    // Added after the plugins so that they wrap any rules the plugins set.
+    let defaultRender = (tokens, idx, options, env, self) => self.renderToken(tokens, idx, options);
+    // Links and images go through env.rewriteUrl when convert is given one, e.g. for post-local images.
+    ['link_open', 'image'].forEach((rule) => {
+        let render = instance.renderer.rules[rule] || defaultRender;
+        instance.renderer.rules[rule] = (tokens, idx, options, env, self) => {
+            let attr = rule == 'image' ? 'src' : 'href';
+            let index = tokens[idx].attrIndex(attr);
+            if (env.rewriteUrl && index >= 0) {
+                tokens[idx].attrs[index][1] = env.rewriteUrl(tokens[idx].attrs[index][1]);
             }
-            catch (err) {
-                console.log('markdownIt highlight error');
-                console.log(err);
-                process.exit();
+            return render(tokens, idx, options, env, self);
+        };
+    });
+
+    // Diagrams replace the code block, errors from them get the line of the block. Without the renderer installed the
+    // block is left as code with a warning, mermaid needs a CLI and a headless browser that may not be there.
+    let diagramLangs = (conf.diagrams || []).filter((lang) => diagrams.LANGUAGES.includes(lang));
+    instance.renderer.rules.fence = (tokens, idx, options, env) => {
+        let token = tokens[idx];
+        let line = token.map[0] + (env.firstLine || 1);
+        let info = code.parseInfo(instance.utils.unescapeAll(token.info));
+        let warn = (message) => env.warnings.push(`line ${line}: ${message}`);
+        if (diagramLangs.includes(info.lang)) {
+            try {
+                let svg = diagrams.render(info.lang, token.content, {mermaidCommand: conf.mermaidCommand});
+                return `<figure class="diagram diagram-${info.lang}">${svg}</figure>\n`;
+            } catch (err) {
+                if (!err.missingRenderer) throw new Error(`line ${line}: ${err.message}`);
+                warn(`${info.lang} diagram left as code, ${err.message}`);
+                // Plain text, highlight.js doesn't know the diagram languages.
+                info = Object.assign({}, info, {lang: 'text'});
             }
         }
-        return ''; // use external default escaping
-    }
-};
+        return code.render(token.content, info, conf.code, warn);
+    };
 
-const highlightJs = require('highlight.js');
-const markdownIt = require('markdown-it')(markdownItOptions);
+    // Headings get a link to themselves when convert is given the anchors option, for copying deep links.
+    let renderHeading = instance.renderer.rules.heading_open || defaultRender;
+    instance.renderer.rules.heading_open = (tokens, idx, options, env, self) => {
+        let html = renderHeading(tokens, idx, options, env, self);
+        let id = tokens[idx].attrGet('id');
+        if (!env.anchors || !id) return html;
+        return `${html}<a class="heading-anchor" href="#${instance.utils.escapeHtml(id)}" aria-hidden="true">#</a>`;
+    };
+    return instance;
+}
 
-module.exports.convert = function (data) {
-    return markdownIt.render(data);
-};
+/**
+ * Sets an id on every heading, made from its text and unique within the document.
+ * @param {{}[]} tokens - Tokens from markdownIt.parse, modified in place.
+ * @return {{}[]} - The headings in order {level, text, id}.
+ */
+function addHeadingIds(tokens) {
+    let used = {};
+    let headings = [];
+    tokens.forEach((token, idx) => {
+        if (token.type != 'heading_open') return;
+        let text = inlineText(tokens[idx + 1]);
+        let base = slugify(text);
+        let id = base;
+        for (let n = 1; used[id]; n++) {
+            id = `${base}-${n}`;
+        }
+        used[id] = true;
+        token.attrSet('id', id);
+        headings.push({level: Number(token.tag.slice(1)), text: text, id: id});
+    });
+    return headings;
+}
 
-module.exports.extractFrontmatter = splitJsonAndFile;
+/**
+ * Nests the headings by level, so a h3 is a child of the h2 before it.
+ * @param {{}[]} headings - The headings in order {level, text, id}.
+ * @return {{}[]} - The top level headings, each with children.
+ */
+function nestHeadings(headings) {
+    let root = {level: 0, children: []};
+    let stack = [root];
+    headings.forEach((heading) => {
+        let node = {level: heading.level, text: heading.text, id: heading.id, children: []};
+        while (stack[stack.length - 1].level >= heading.level) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    });
+    return root.children;
+}
 
+/**
+ * Counts the words of the text, leaving out code blocks.
+ * @param {{}[]} tokens - Tokens from markdownIt.parse.
+ * @return {number} - Word count.
+ */
+function countWords(tokens) {
+    return tokens.reduce((count, token) => {
+        if (token.type != 'inline') return count;
+        let words = inlineText(token).match(/\S+/g);
+        return count + (words ? words.length : 0);
+    }, 0);
+}
+
+/**
+ * The plain text of an inline token, without the markdown.
+ * @param {{}} token - An inline token.
+ * @return {string} - The text.
+ */
+function inlineText(token) {
+    return (token.children || []).map((child) => {
+        if (child.type == 'softbreak' || child.type == 'hardbreak') return ' ';
+        return child.type == 'text' || child.type == 'code_inline' ? child.content : '';
+    }).join('').trim();
+}
+
+/**
+ * Url friendly id for a heading, like the ones GitHub makes.
+ * @param {string} text - The heading text.
+ * @return {string} - Lower case letters and numbers separated by single dashes.
+ */
+function slugify(text) {
+    let slug = text.toLowerCase().replace(/[^a-z0-9\u00c0-\uffff]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'section';
+}
+
+
+/**
+ * Splits the front-matter from the rest of the file and parses it, returns both parts.
+ * The front-matter can be a leading JSON object, YAML between `---` lines or TOML between `+++` lines.
+ * @param {string} fileContents - The contents of a file, with or without front-matter.
+ * @return {{file: string, data: {}, format: string, line: number}} Separated file and parsed front-matter
+ * {file, data, format, line}, format is 'json', 'yaml', 'toml' or null if there is no front-matter, line is the line
+ * of the file that the rest of the file starts on.
+ * @throws {Error} - If the front-matter is invalid, the message includes the line number within the file.
+ */
+function extractFrontmatter(fileContents) {
+    // Editors on Windows like to add a byte order mark.
+    let contents = fileContents.replace(/^\uFEFF/, '');
+    if (contents.startsWith('{')) {
+        return splitJsonAndFile(contents);
+    }
+    let fence = /^(---|\+\+\+)[ \t]*\r?\n/.exec(contents);
+    if (fence) {
+        return splitFencedAndFile(contents, fence[1], fence[0].length);
+    }
+    return {
+        file: contents,
+        data: {},
+        format: null,
+        line: 1
+    };
+}
 
 /**
  * Splits the Json front-matter from the rest of the file, returns both parts.
+ * Braces inside strings are ignored when finding the end of the object.
  * @param {string} fileContents - The contents of a file with Json front-matter.
- * @return {{file: string, json}} Separated file and json {file, json}.
+ * @return {{file: string, data: {}, format: string, line: number}} Separated file and json {file, data, format, line}.
  */
 function splitJsonAndFile(fileContents) {
-    let prev = '';
-    let open = 0;
-    let close = 0;
-    let end;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let end = -1;
 
-    for (let i = 0, len = fileContents.length; i < len; i++) {
+    for (let i = 0, len = fileContents.length; i < len && end == -1; i++) {
         let current = fileContents[i];
-        if (current == '{' && prev != '\\') open++;
-        if (current == '}' && prev != '\\') close++;
-        if (open == close) {
-            end = i;
-            break;
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (current == '\\') escaped = true;
+            else if (current == '"') inString = false;
+        } else if (current == '"') {
+            inString = true;
+        } else if (current == '{') {
+            depth++;
+        } else if (current == '}') {
+            depth--;
+            if (depth == 0) end = i;
         }
-        prev = current;
     }
 
-    let data = fileContents.slice(end + 1);
+    if (end == -1) {
+        throw new Error('Invalid JSON front-matter at line 1: the object starting here is never closed.');
+    }
+
     let front = fileContents.slice(0, end + 1);
+    let data;
+    try {
+        data = JSON.parse(front);
+    } catch (err) {
+        throw frontMatterError('JSON', err.message, jsonErrorLine(err, front));
+    }
 
     return {
-        file: data,
-        json: JSON.parse(front)
+        file: fileContents.slice(end + 1),
+        data: checkIsObject('JSON', data),
+        format: 'json',
+        // The rest of the file starts on the line the object ends on.
+        line: front.split('\n').length
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Splits YAML or TOML front-matter between fence lines from the rest of the file, returns both parts.
+ * @param {string} fileContents - The contents of a file starting with a fence line.
+ * @param {string} fence - The fence, `---` for YAML or `+++` for TOML.
+ * @param {number} start - Index of the first character after the opening fence line.
+ * @return {{file: string, data: {}, format: string, line: number}} Separated file and front-matter
+ * {file, data, format, line}.
+ */
+function splitFencedAndFile(fileContents, fence, start) {
+    let format = fence == '---' ? 'YAML' : 'TOML';
+    let closing = new RegExp(`^${fence.replace(/\+/g, '\\+')}[ \\t]*(\\r?\\n|$)`, 'm');
+    let rest = fileContents.slice(start);
+    let match = closing.exec(rest);
+    if (!match) {
+        throw new Error(`Invalid ${format} front-matter at line 1: there is no closing ${fence} line.`);
+    }
+
+    let front = rest.slice(0, match.index);
+    let data;
+    try {
+        // Dates are kept as written, like in JSON, because the permalink date is the date as written.
+        // The core schema has no timestamps, TOML always parses them so they are put back.
+        if (format == 'YAML') {
+            data = yaml.safeLoad(front, {schema: yaml.CORE_SCHEMA});
+        } else {
+            data = keepWrittenDates(toml.parse(front), front);
+        }
+    } catch (err) {
+        // Both report lines within the front-matter, the opening fence is line 1 of the file.
+        if (format == 'YAML') {
+            throw frontMatterError(format, err.reason, err.mark ? err.mark.line + 2 : null);
+        }
+        throw frontMatterError(format, err.message, err.line ? err.line + 1 : null);
+    }
+
+    let bodyStart = start + match.index + match[0].length;
+    return {
+        file: fileContents.slice(bodyStart),
+        // Empty YAML is undefined.
+        data: checkIsObject(format, data === undefined || data === null ? {} : data),
+        format: format.toLowerCase(),
+        line: fileContents.slice(0, bodyStart).split('\n').length
+    };
+}
+
+/**
+ * Replaces the dates of the top-level keys of parsed TOML with the text they were written as.
+ * @param {{}} data - The parsed TOML, modified in place.
+ * @param {string} front - The TOML.
+ * @return {{}} - The data.
+ */
+function keepWrittenDates(data, front) {
+    Object.keys(data).forEach((key) => {
+        if (!(data[key] instanceof Date)) return;
+        // Top-level keys come before any table, so the first one is the top-level key.
+        let name = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let written = new RegExp(`^[ \\t]*["']?${name}["']?[ \\t]*=[ \\t]*([^\\s#]+)`, 'm').exec(front);
+        if (written) data[key] = written[1];
+    });
+    return data;
+}
+
+/**
+ * Finds the line of a JSON.parse error, if the error message has a position or line.
+ * @param {Error} err - Error thrown by JSON.parse.
+ * @param {string} json - The text that was parsed.
+ * @return {number} - The line number, null if unknown.
+ */
+function jsonErrorLine(err, json) {
+    let line = /line (\d+)/.exec(err.message);
+    if (line) return Number(line[1]);
+    let position = /position (\d+)/.exec(err.message);
+    if (position) return json.slice(0, Number(position[1])).split('\n').length;
+    return null;
+}
+
+/**
+ * @param {string} format - Name of the front-matter format.
+ * @param {string} reason - What is wrong.
+ * @param {number} line - Line number within the file, null if unknown.
+ * @return {Error} - Error for a front-matter parse failure.
+ */
+function frontMatterError(format, reason, line) {
+    let at = line ? ` at line ${line}` : '';
+    return new Error(`Invalid ${format} front-matter${at}: ${reason}`);
+}
+
+/**
+ * Front-matter must be a map of keys to values, not a list or a single value.
+ * @param {string} format - Name of the front-matter format.
+ * @param {*} data - Parsed front-matter.
+ * @return {{}} - The data.
+ */
+function checkIsObject(format, data) {
+    if (typeof data != 'object' || Array.isArray(data)) {
+        throw new Error(`Invalid ${format} front-matter at line 1: it must be a map of keys to values.`);
+    }
+    return data;
+}
@@ -0,0 +1,213 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Build plugins, loaded from the plugins list in the config.
+ *
+ * A plugin is a module exporting a function that takes the plugin's options and returns an object of hooks, each
+ * called with the BuildContext at a point in the build. Hooks change or add to the context in place:
+ *
+ * * configLoaded - Before anything is read, ctx.site can be changed.
+ * * postsLoaded - ctx.posts, can be changed, added to or replaced.
+ * * beforeTemplate - Before each template is rendered, with {template, outputPath, locals}, can change the locals.
+ * * afterTemplate - After each template is rendered, with {template, outputPath, locals, html}, can change the html.
+ * * beforeWrite - ctx.outputs is the list of files about to be written, can be changed or added to.
+ * * buildComplete - Everything is written, ctx.result is the BuildResult.
+ *
+ * The template hooks must be synchronous, the others may return a promise. The plugins from the config run first, in
+ * the order listed, then the built-in steps (search index, feeds and sitemap), so the built-in steps see what the
+ * plugins added.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const buildCache = require('./cache');
+const errors = require('./errors');
+
+const HOOKS = ['configLoaded', 'postsLoaded', 'beforeTemplate', 'afterTemplate', 'beforeWrite', 'buildComplete'];
+const TEMPLATE_HOOKS = ['beforeTemplate', 'afterTemplate'];
+
+module.exports.load = load;
+module.exports.requireModule = requireModule;
+module.exports.HOOKS = HOOKS;
+
+
+/**
+ * @typedef {Object} BuildContext
+ * @property {{}} site - The site config.
+ * @property {boolean} test - True in test mode.
+ * @property {boolean} debug - True enables debug output.
+ * @property {Post[]} posts - The posts, from postsLoaded on.
+ * @property {Output[]} outputs - The files to write, in beforeWrite.
+ * @property {BuildResult} result - What was built, in buildComplete.
+ * @property {function} renderTemplate - (name, locals) => html, renders a template from the templates dir with the
+ * same locals as the generated pages (site, posts, tags, categories, asset), from beforeWrite on.
+ */
+
+/**
+ * @typedef {Object} Output
+ * @property {string} dir - Dir to write to.
+ * @property {string} fileName - File name, may include sub-dirs.
+ * @property {string} data - The contents, null if the file is unchanged and not rendered again.
+ * @property {string} [key] - Cache key, defaults to the hash of the data.
+ * @property {string[]} [deps] - Files the output depends on, for the cache.
+ * @property {{}} [page] - For pages: {url, noindex, lastmod}, pages are listed in the sitemap unless noindex.
+ * @property {string} [source] - Path of the post or page file it was built from.
+ */
+
+/**
+ * @typedef {Object} Plugins
+ * @property {string} key - Hash of the local plugin files, part of every cache key.
+ * @property {function} run - (hook) => Promise, runs a hook of every plugin in turn.
+ * @property {function} renderTemplate - (name, func, locals, outputPath) => html, renders a compiled template
+ * between the template hooks.
+ */
+
+/**
+ * Loads the plugins listed in site.plugins, each is [name, options] or just the name, a package installed next to
+ * the site or a path to a JS file relative to the site dir.
+ * @param {{}} site - Site config.
+ * @param {{}[]} builtIn - Hook objects of the built-in steps, run after the configured plugins.
+ * @param {BuildContext} ctx - The context passed to every hook.
+ * @return {Plugins} - The loaded plugins.
+ * @throws {PluginError} - If a plugin can't be loaded, naming the plugin.
+ */
+function load(site, builtIn, ctx) {
+    let sources = [];
+    let loaded = (site.plugins || []).map((entry) => {
+        let [name, options] = Array.isArray(entry) ? entry : [entry];
+        let module;
+        let hooks;
+        try {
+            module = requireModule(name, 'Plugin');
+            hooks = typeof module.exports == 'function' ? module.exports(options || {}) : module.exports;
+        } catch (err) {
+            throw errors.wrap(err, errors.PluginError, {plugin: name});
+        }
+        if (module.file) sources.push(module.file, fs.readFileSync(module.file, 'utf8'));
+        if (!hooks || typeof hooks != 'object') {
+            throw new errors.PluginError(`Plugin '${name}' must export an object of hooks or a function returning one.`,
+                {plugin: name});
+        }
+        Object.keys(hooks).forEach((hook) => {
+            if (typeof hooks[hook] == 'function' && HOOKS.indexOf(hook) == -1) {
+                throw new errors.PluginError(`Plugin '${name}' has an unknown hook '${hook}', the hooks are ` +
+                    `${HOOKS.join(', ')}.`, {plugin: name});
+            }
+        });
+        return {name: name, hooks: hooks};
+    });
+    let all = loaded.concat(builtIn.map((hooks) => ({name: hooks.name, hooks: hooks})));
+
+    let run = (hook) => {
+        let chain = Promise.resolve();
+        all.forEach((plugin) => {
+            if (!plugin.hooks[hook]) return;
+            chain = chain.then(() => plugin.hooks[hook](ctx)).catch((err) => {
+                throw pluginError(plugin.name, hook, err);
+            });
+        });
+        return chain;
+    };
+
+    let runSync = (hook, render) => {
+        all.forEach((plugin) => {
+            if (!plugin.hooks[hook]) return;
+            try {
+                plugin.hooks[hook](ctx, render);
+            } catch (err) {
+                throw pluginError(plugin.name, hook, err);
+            }
+        });
+    };
+
+    return {
+        key: buildCache.hash(...sources),
+        run: (hook) => {
+            if (TEMPLATE_HOOKS.indexOf(hook) != -1) throw new Error(`The ${hook} hook is run by renderTemplate.`);
+            return run(hook);
+        },
+        renderTemplate: (name, func, locals, outputPath) => {
+            let render = {template: name, outputPath: outputPath, locals: locals};
+            runSync('beforeTemplate', render);
+            try {
+                render.html = func(render.locals);
+            } catch (err) {
+                let page = outputPath ? ` for ${outputPath}` : '';
+                // Pug runtime errors only have the template path and line in the message, "path:line\n...".
+                let at = err.path && /^[^\n]*:(\d+)\n/.exec(err.message);
+                throw errors.wrap(err, errors.TemplateError, {
+                    template: name,
+                    file: err.path || outputPath,
+                    line: err.line || (at ? Number(at[1]) : undefined),
+                    message: `Template '${name}'${page} failed: ${err.message}`
+                });
+            }
+            runSync('afterTemplate', render);
+            return render.html;
+        }
+    };
+}
+
+/**
+ * Wraps an error from a hook in a PluginError naming the plugin and hook, unless it was already named by an inner hook.
+ * @param {string} name - Plugin name.
+ * @param {string} hook - Hook name.
+ * @param {Error} err - The error.
+ * @return {PluginError} - The error.
+ */
+function pluginError(name, hook, err) {
+    if (err instanceof errors.PluginError) return err;
+    let message = `Plugin '${name}' failed in ${hook}: ${err && err.message ? err.message : String(err)}`;
+    // A BuildError from a plugin, e.g. a missing template, is still wrapped so that the plugin is named.
+    let wrapped = new errors.PluginError(message, {plugin: name, hook: hook, cause: err});
+    if (err && err.stack) wrapped.stack = `${wrapped.name}: ${message}\n${err.stack.split('\n').slice(1).join('\n')}`;
+    return wrapped;
+}
+
+/**
+ * Requires a module by package name, looking in the site's own node_modules before the generator's, or by path.
+ * Local files are reloaded every time, so the preview server picks up changes.
+ * @param {string} name - Package name or path to a JS file relative to the site dir.
+ * @param {string} kind - What the module is, for the error message, e.g. 'Markdown plugin'.
+ * @return {{}} - {exports, file}, file is the path of a local module, undefined for packages.
+ * @throws {Error} - If the module can't be found.
+ */
+function requireModule(name, kind) {
+    let local = name.startsWith('.') || path.isAbsolute(name);
+    let candidates = local ? [path.resolve(name)] : [path.resolve('node_modules', name), name];
+    let lastErr;
+    for (let i = 0; i < candidates.length; i++) {
+        let file;
+        try {
+            file = require.resolve(candidates[i]);
+        } catch (err) {
+            lastErr = err;
+            continue;
+        }
+        if (local) delete require.cache[file];
+        let exports = require(file);
+        // ES module style packages put the export on default.
+        if (exports && exports.__esModule && exports.default) exports = exports.default;
+        return {exports: exports, file: local ? file : undefined};
+    }
+    throw new Error(`${kind} '${name}' could not be found: ${lastErr.message}`);
+}
@@ -25,110 +25,316 @@
 
 const path = require('path');
 const md = require('./md');
+const feed = require('./feed');
+const sitemap = require('./sitemap');
+const search = require('./search');
+const check = require('./check');
+const pluginLoader = require('./plugins');
+const errors = require('./errors');
+const config = require('./config');
+const math = require('./math');
+const files = require('./files');
+const assets = require('./assets');
+const html = require('./html');
+const js = require('./js');
+const buildCache = require('./cache');
+const tags = require('./tags');
+const listing = require('./listing');
+const urls = require('./urls');
 const pug = require('pug');
 const less = require('less');
 const t3hfs = require('t3h-fs-helper');
 
 const CONFIG_FILE_NAME = 'config.json';
+const MODES = ['production', 'test'];
+const DEFAULT_LOGGER = {
+    info: (message) => console.log(message),
+    warn: (message) => console.log(`Warning: ${message}`)
+};
 
 module.exports.generateDefaultConfig = generateDefaultConfig;
-module.exports.publish = publish;
+module.exports.build = build;
+module.exports.readConfig = readConfig;
+module.exports.overlayPath = overlayPath;
+module.exports.applyMode = applyMode;
+module.exports.buildSite = buildSite;
+module.exports.localDate = localDate;
 module.exports.CONFIG_FILE_NAME = CONFIG_FILE_NAME;
+module.exports.MODES = MODES;
+module.exports.errors = errors;
 
 
 /**
  * Generates a default template config.
- * WebStorm/Intellij pulls the template for the site object type from here.. somehow.
  * @return {string} - JSON of the site config.
  */
 function generateDefaultConfig() {
-    let site = {
-        title: 'a neat site',
-        description: 'a rather neat site',
-        baseUrl: 'https://t3hmun.github.io',
-        nav: [
-            {url: 'index.html', text: 'Home'},
-            {url: 'info.html', text: 'Info'},
-            {url: 'archive.html', text: 'Archive'}
-        ],
-        testDir: './preview',
-        outputDir: {
-            dir: './pages',
-            dirs: {
-                content: './',
-                js: 'js',
-                css: 'css',
-                posts: 'posts'
-            }
-        },
-        inputDir: {
-            dir: './input',
-            dirs: {
-                posts: 'posts',
-                templates: 'templates',
-                css: 'css',
-                js: 'js',
-                content: 'content'
-            }
-        },
-        lessFilesToOutput: [['main.less', 'main.css']]
-    };
+    return JSON.stringify(config.defaultConfig(), null, 4);
+}
 
-    return JSON.stringify(site, null, 4);
+/**
+ * Reads, parses and validates a config file, filling in the defaults, see config.validate. Relative paths in a config
+ * file outside the current dir, defaults included, are made relative to it.
+ * With an env the overlay for it (e.g. config.production.json next to config.json) is merged over the config, if
+ * there is one.
+ * @param {string} [file] - Path of the config file, defaults to config.json in the current dir.
+ * @param {string} [env] - Name of the environment, e.g. 'production'.
+ * @param {function} [warn] - Called with each warning about the config, defaults to the console.
+ * @return {Promise.<{}>} - The site config, rejects with a ConfigError if a file is missing, not valid JSON or the
+ * config is invalid.
+ */
+function readConfig(file, env, warn) {
+    file = file || CONFIG_FILE_NAME;
+    let overlayFile = env ? overlayPath(file, env) : null;
+    let overlayRead = overlayFile ? readJson(overlayFile).catch((err) => {
+        // The overlays are optional.
+        if (err.cause && err.cause.code == 'ENOENT') return {};
+        throw err;
+    }) : Promise.resolve({});
+    return Promise.all([readJson(file), overlayRead]).then(([site, overlay]) => {
+        mergeConfig(site, overlay);
+        config.validate(site).forEach(warn || DEFAULT_LOGGER.warn);
+        let baseDir = path.dirname(path.resolve(file));
+        if (baseDir != process.cwd()) rebaseConfig(site, baseDir);
+        return site;
+    });
 }
 
 /**
- * Loads the config from a JSON file and modifies it based on process args.
- * @return {Promise.<[]>} - [site, debug, test]
+ * The path of the overlay of a config file for an env.
+ * @param {string} file - Path of the config file, e.g. 'site/config.json'.
+ * @param {string} env - Name of the environment, e.g. 'production'.
+ * @return {string} - e.g. 'site/config.production.json'.
  */
-function loadConfig() {
-    return t3hfs.read(CONFIG_FILE_NAME).then((conf) => {
-        let site;
+function overlayPath(file, env) {
+    let info = path.parse(file);
+    return path.join(info.dir, `${info.name}.${env}${info.ext || '.json'}`);
+}
+
+/**
+ * Reads and parses a JSON config file.
+ * @param {string} file - Path of the file.
+ * @return {Promise.<{}>} - The parsed JSON, rejects with a ConfigError.
+ */
+function readJson(file) {
+    return t3hfs.read(file).catch((err) => {
+        throw errors.wrap(err, errors.ConfigError, {file: file});
+    }).then((conf) => {
         try {
-            site = JSON.parse(conf);
+            return JSON.parse(conf);
         } catch (err) {
-            errorAndExit(err);
+            throw new errors.ConfigError(`${file}: Invalid JSON, ${err.message}`, {file: file, cause: err});
         }
-        return site;
-    }).catch((err) => {
-        errorAndExit(err);
-    }).then((site) => {
-        let debug = false;
-        let test = false;
-
-        if (process.argv.length > 2) {
-            console.log('Config:');
-            if (process.argv.find((e) => e == 'debug')) {
-                debug = true;
-                debug && console.log(' Debug-mode on.');
-            }
-            if (process.argv.find((e) => e == 'test')) {
-                test = true;
-                // Fully resolved path allows testing without server.
-                site.baseUrl = 'file:///' + path.resolve(site.testDir);
-                // Replace outputDir with testDir.
-                site.outputDir.dir = site.testDir;
-
-                debug && console.log('test outputDir=' + site.outputDir.dir);
-                console.log(' Test mode activated.');
-            }
-            console.log('');
+    });
+}
+
+/**
+ * Merges an overlay into a config. Objects are merged key by key, anything else (including arrays) is replaced.
+ * @param {{}} site - Site config, modified in place.
+ * @param {{}} overlay - The values to change.
+ * @return {void}
+ */
+function mergeConfig(site, overlay) {
+    let isObject = (value) => value !== null && typeof value == 'object' && !Array.isArray(value);
+    Object.keys(overlay).forEach((key) => {
+        if (isObject(site[key]) && isObject(overlay[key])) {
+            mergeConfig(site[key], overlay[key]);
+        } else {
+            site[key] = overlay[key];
         }
+    });
+}
+
+/**
+ * Makes the relative paths of a config relative to another dir.
+ * @param {{}} site - Site config, modified in place.
+ * @param {string} baseDir - The dir the paths are relative to, usually the dir of the config file.
+ * @return {void}
+ */
+function rebaseConfig(site, baseDir) {
+    let rebase = (dir) => typeof dir == 'string' && !path.isAbsolute(dir) ? path.resolve(baseDir, dir) : dir;
+    // Plugins are package names unless they start with a dot.
+    let rebasePlugin = (entry) => {
+        let [name, options] = Array.isArray(entry) ? entry : [entry];
+        name = name.startsWith('.') ? rebase(name) : name;
+        return Array.isArray(entry) ? [name, options] : name;
+    };
+    if (site.inputDir) site.inputDir.dir = rebase(site.inputDir.dir);
+    if (site.outputDir) site.outputDir.dir = rebase(site.outputDir.dir);
+    site.testDir = rebase(site.testDir);
+    site.cacheFile = rebase(site.cacheFile);
+    if (site.plugins) site.plugins = site.plugins.map(rebasePlugin);
+    if (site.markdown && site.markdown.plugins) site.markdown.plugins = site.markdown.plugins.map(rebasePlugin);
+}
+
+/**
+ * Changes the config for a build mode. Test mode builds a preview of everything, drafts included, into the testDir
+ * with file:/// links so that it works without a server.
+ * @param {{}} site - Site config, modified in place.
+ * @param {string} mode - 'production' or 'test'.
+ * @param {boolean} [drafts] - True includes drafts and scheduled posts, always on in test mode.
+ * @return {void}
+ * @throws {ConfigError} - If the mode is unknown.
+ */
+function applyMode(site, mode, drafts) {
+    if (MODES.indexOf(mode) == -1) {
+        throw new errors.ConfigError(`Unknown mode '${mode}', the modes are ${MODES.join(', ')}.`);
+    }
+    if (drafts) site.drafts = true;
+    if (mode == 'test') {
+        // The preview is for checking unpublished posts too.
+        site.drafts = true;
+        // Fully resolved path allows testing without server.
+        site.baseUrl = 'file:///' + path.resolve(site.testDir);
+        // Replace outputDir with testDir.
+        site.outputDir.dir = site.testDir;
+    }
+}
 
-        return [site, debug, test];
+/**
+ * @typedef {Object} BuildOptions
+ * @property {{}|string} [config] - The site config, or the path of its JSON file, defaults to config.json in the
+ * current dir. A config object is copied, not changed.
+ * @property {string} [mode] - 'production' (default) or 'test', see applyMode.
+ * @property {string} [env] - Config overlay to merge over a config file, defaults to the mode, see readConfig.
+ * @property {string} [out] - Dir to build into instead of the outputDir (or testDir in test mode).
+ * @property {boolean} [drafts] - True includes drafts and scheduled posts.
+ * @property {boolean} [check] - True checks the links once the site is built, see check.js.
+ * @property {boolean} [debug] - True enables debug output, to the console.
+ * @property {{}} [logger] - {info, warn}, each takes a message, defaults to the console.
+ */
+
+/**
+ * @typedef {Object} BuildReport
+ * @property {string[]} outputs - Paths of every file of the site, written or unchanged.
+ * @property {string[]} written - Paths of the files written by this build.
+ * @property {{}} sources - Map of output path to the post or page it was built from.
+ * @property {string[]} warnings - Problems that did not fail the build.
+ * @property {{}} timings - Milliseconds taken by each step, see buildSite, and the total.
+ * @property {BrokenLink[]} brokenLinks - Broken links found by the check, empty if not checked.
+ */
+
+/**
+ * Builds a site. Nothing is written to the console except through the logger and the debug output.
+ * @param {BuildOptions} [options] - What to build and how.
+ * @return {Promise.<BuildReport>} - What was built, rejects with a BuildError, e.g. a PostError naming the post.
+ * Broken links reject with a LinkCheckError, which has the report.
+ */
+function build(options) {
+    options = options || {};
+    let logger = Object.assign({}, DEFAULT_LOGGER, options.logger);
+    let start = Date.now();
+    let site;
+    let mode = options.mode || 'production';
+    // Config warnings are logged as they are found and reported with the warnings of the build.
+    let configWarnings = [];
+    let warn = (message) => {
+        configWarnings.push(message);
+        logger.warn(message);
+    };
+    let addConfigWarnings = (report) => {
+        report.warnings = configWarnings.concat(report.warnings);
+    };
+    let configLoaded = typeof options.config == 'object' && options.config !== null ? Promise.resolve().then(() => {
+        let copy = JSON.parse(JSON.stringify(options.config));
+        config.validate(copy).forEach(warn);
+        return copy;
+    }) : readConfig(options.config, options.env || mode, warn);
+    return configLoaded.then((loaded) => {
+        site = loaded;
+        if (options.out) {
+            site.outputDir.dir = options.out;
+            site.testDir = options.out;
+        }
+        applyMode(site, mode, options.drafts);
+        return buildSite(site, !!options.debug, mode == 'test', logger);
+    }).then((result) => {
+        let report = Object.assign({brokenLinks: []}, result);
+        addConfigWarnings(report);
+        report.timings.total = Date.now() - start;
+        if (!options.check) return report;
+        return check.checkLinks(site, result.outputs, result.sources).then((broken) => {
+            report.brokenLinks = broken;
+            if (broken.length == 0) return report;
+            let list = broken.map((link) => `  ${check.formatBrokenLink(link, site.outputDir.dir)}`);
+            let message = `Link check failed, ${broken.length} broken link${broken.length == 1 ? '' : 's'}:`;
+            throw new errors.LinkCheckError([message, ...list].join('\n'), {brokenLinks: broken, report: report});
+        });
+    }).catch((err) => {
+        if (err instanceof errors.BuildFailedError) {
+            err.report = Object.assign({brokenLinks: []}, err.report);
+            addConfigWarnings(err.report);
+            err.report.timings.total = Date.now() - start;
+        }
+        throw errors.wrap(err);
     });
 }
 
+/**
+ * @typedef {Object} Reporter
+ * @property {function} warn - Called with the message of a problem that doesn't stop anything.
+ * @property {function} fail - Called with the error of something that is left out, the build fails at the end.
+ */
+
+/**
+ * @typedef {Object} BuildResult
+ * @property {string[]} outputs - Paths of every file of the site, written or unchanged.
+ * @property {string[]} written - Paths of the files written by this build.
+ * @property {{}} sources - Map of output path to the post or page it was built from.
+ * @property {string[]} warnings - Problems that did not fail the build.
+ * @property {{}} timings - Milliseconds taken by each step {posts, templates, css, js, render, write}.
+ */
+
 /**
  * Fires a load of promises that result in a static site.
- * @returns {void}
+ * @param {{}} site - The site config with its defaults filled in, see readConfig, the dir objects are resolved and
+ * modified in place.
+ * @param {boolean} debug - True enables debug output.
+ * @param {boolean} test - True enables test mode, avoid minifying anything.
+ * @param {{}} [logger] - {info, warn}, defaults to the console.
+ * @returns {Promise.<BuildResult>} - Resolves once every file is written, rejects on the first error.
  */
-function publish() {
-    let site, debug, test;
-    loadConfig().then((conf) => {
-        [site, debug, test] = conf;
+function buildSite(site, debug, test, logger) {
+    logger = logger || DEFAULT_LOGGER;
+    let cache;
+    let ctx = {site: site, test: test, debug: debug, warnings: [], errors: [], written: [], timings: {}};
+    ctx.warn = (message) => {
+        ctx.warnings.push(message);
+        logger.warn(message);
+    };
+    // Errors of single posts, pages and files are collected, the build carries on without them and fails at the end.
+    ctx.fail = (err) => {
+        // The same error can come from several outputs, e.g. a LESS file imported by two stylesheets.
+        let same = ctx.errors.find((e) => e == err || e.name == err.name && e.message == err.message);
+        if (!same) ctx.errors.push(err);
+    };
+    // Leaves out the items that failed, e.g. pages, recording their errors.
+    let succeeded = (items) => items.filter((item) => {
+        if (item.error) ctx.fail(item.error);
+        return !item.error;
+    });
+    // Times a step from now until the promise resolves.
+    let timed = (name, promise) => {
+        let started = Date.now();
+        return promise.then((value) => {
+            ctx.timings[name] = Date.now() - started;
+            return value;
+        });
+    };
+    let plugins;
+    return Promise.resolve().then(() => {
+        // The built-in steps run after the configured plugins, so that they include anything the plugins add.
+        plugins = pluginLoader.load(site, [search.plugin(), feed.plugin(), sitemap.plugin()], ctx);
+        return plugins.run('configLoaded');
+    }).then(() => {
+        site = ctx.site;
+        return buildCache.load(site, test, plugins.key);
+    }).then((loaded) => {
+        cache = loaded;
         // Creating the folders and resolving their names must be done first.
         return resolveAndCreateDirs(site.inputDir, debug);
+    }).then(() => {
+        return config.checkFiles(site);
     }).then(() => {
         // Creating dirs must not be done in parallel because they may share a common base dir.
         return resolveAndCreateDirs(site.outputDir, debug);
@@ -151,69 +357,303 @@ function publish() {
         let writeOutDirs = site.outputDir.full;
 
         // Read files from disk and perform any processing that doesn't rely on other files.
-        let templatesLoaded = loadTemplates(inDirs.templates, debug);
-        let postsLoaded = loadPosts(inDirs.posts, linkOutDirs.posts, debug);
-        let cssRendering = site.lessFilesToOutput.map((cssFile) => {
-            return renderLessToCss(path.join(inDirs.css, cssFile[0]), !test, debug);
+        let templatesLoaded = timed('templates', loadTemplates(inDirs.templates, cache, debug)).then((templates) => {
+            // Before anything is rendered, rather than failing part way through.
+            checkTemplates(templates, config.requiredTemplates(site));
+            return templates;
+        });
+        let postsLoaded = timed('posts', loadPosts(inDirs.posts, site, cache, ctx, debug)).then((posts) => {
+            ctx.posts = posts;
+            return plugins.run('postsLoaded');
+        }).then(() => {
+            // Posts added by plugins have no file to key them by.
+            ctx.posts.forEach((post) => {
+                if (!post.cacheKey) post.cacheKey = buildCache.hash(cache.config, JSON.stringify(post));
+                if (!post.assets) post.assets = [];
+            });
+            // Plugins may have added or removed posts.
+            ctx.posts.cacheKey = buildCache.hash(...ctx.posts.map((post) => post.cacheKey));
+            return ctx.posts;
+        });
+        // Fingerprinted names are for production, the preview keeps the plain names.
+        let fingerprints = test ? {} : site.fingerprint || {};
+        let cssRendering = site.lessFilesToOutput.map(([lessFile, cssFile]) => {
+            // A fingerprinted name depends on the output, so there is no previous output to compare with.
+            let outputPath = fingerprints.css ? null : path.join(writeOutDirs.css, cssFile);
+            return renderLessToCss(path.join(inDirs.css, lessFile), outputPath, cache, !test, debug).then((result) => {
+                result.fileName = fingerprints.css ? assets.fingerprint(cssFile, buildCache.hash(result.css)) : cssFile;
+                return result;
+            }, (err) => {
+                // The plain name keeps asset() working, so the pages can still be rendered.
+                return {css: null, fileName: cssFile, error: err};
+            });
+        });
+        let cssRendered = timed('css', Promise.all(cssRendering));
+        let jsLoaded = timed('js', loadJS(inDirs.js, site, cache, !test, fingerprints.js, debug));
+        // The assets dir is optional for sites with configs from before it existed.
+        let siteAssetsListed = inDirs.assets ? files.listFilesRecursive(inDirs.assets) : Promise.resolve([]);
+        // Rendered math needs the KaTeX stylesheet and fonts, a katex dir in the site's assets replaces them.
+        let mathStyleListed = (site.markdown || {}).math ? math.listStyleFiles() : Promise.resolve([]);
+        let assetsListed = Promise.all([siteAssetsListed, mathStyleListed]).then(([siteAssets, mathStyle]) => {
+            let replaced = siteAssets.some((item) => item.relPath.startsWith(`${math.STYLE_DIR}/`));
+            return replaced ? siteAssets : siteAssets.concat(mathStyle);
+        });
+        let assetsNamed = assetsListed.then((assetFiles) => {
+            return nameAssets(assetFiles, fingerprints.assets || []);
+        });
+
+        // Every page is post-processed with the same critical css and sizes of the local images.
+        let htmlConf = site.html || {};
+        let criticalCssRendering = htmlConf.criticalCss ?
+            renderLessToCss(path.join(inDirs.css, htmlConf.criticalCss), null, cache, !test, debug).catch((err) => {
+                ctx.fail(err);
+                return {css: ''};
+            }) : Promise.resolve({css: ''});
+        let htmlProcessorReady = Promise.all([criticalCssRendering, assetsNamed, postsLoaded]).then((results) => {
+            let [criticalCss, assetFiles, posts] = results;
+            let images = Array.from(assetFiles, (item) => {
+                return [`${site.baseUrl}/${path.posix.join(linkOutDirs.assets, item.fileName)}`, item.path];
+            });
+            posts.forEach((post) => {
+                post.assets.forEach((relPath) => {
+                    images.push([postAssetUrl(site, relPath), path.join(inDirs.posts, relPath)]);
+                });
+            });
+            return html.createProcessor({
+                minify: htmlConf.minify && !test,
+                lazyImages: htmlConf.lazyImages,
+                criticalCss: criticalCss.css,
+                imageSizes: html.measureImages(images)
+            });
+        });
+        // Everything that renders pages links the css, js and assets through asset(), so it needs their names.
+        let assetsLoaded = [cssRendered, jsLoaded, assetsNamed, htmlProcessorReady];
+        let assetsReady = Promise.all(assetsLoaded).then((results) => {
+            let [cssResults, jsOutputs, assetFiles, processor] = results;
+            let link = (dir, fileName) => path.posix.join(dir, fileName);
+            let entries = [];
+            cssResults.forEach((result, i) => {
+                let cssFile = site.lessFilesToOutput[i][1];
+                entries.push([link(linkOutDirs.css, cssFile), link(linkOutDirs.css, result.fileName)]);
+            });
+            jsOutputs.forEach((output) => {
+                entries.push([link(linkOutDirs.js, output.name), link(linkOutDirs.js, output.fileName)]);
+            });
+            assetFiles.forEach((item) => {
+                entries.push([link(linkOutDirs.assets, item.relPath), link(linkOutDirs.assets, item.fileName)]);
+            });
+            return assets.createManifest(entries, site.baseUrl, processor.key);
         });
-        let jsLoaded = loadJS(inDirs.js, debug);
 
         // Creation tasks that rely on previously loaded files.
-        let postTemplateApplied = Promise.all([postsLoaded, templatesLoaded]).then((tasksResults) => {
-            return applyPostTemplates(...tasksResults, site, test, debug);
+        let tagsCollected = postsLoaded.then((posts) => {
+            return tags.collect(posts, linkOutDirs.tags, site.slug);
         });
 
-        // Render and write pages - they require posts for generating the indexes.
-        postsLoaded.then((posts) => {
-            // This is for generating indexes in the pages.
-            posts.dir = linkOutDirs.posts;
-            return renderPugPages(inDirs.content, site, posts, test, debug).then((pages) => {
-                let writeArr = Array.from(pages, (item) => {
-                    return [writeOutDirs.content, item.fileName, item.html];
-                });
+        let pageInputs = Promise.all([postsLoaded, templatesLoaded, tagsCollected, assetsReady]);
+        let postTemplateApplied = pageInputs.then((tasksResults) => {
+            return applyPostTemplates(...tasksResults, site, cache, plugins, test, debug);
+        });
+        let postOutputs = postTemplateApplied.then((posts) => {
+            return Array.from(succeeded(posts), (post) => {
+                return {
+                    dir: writeOutDirs.posts,
+                    fileName: post.urlName,
+                    data: post.html,
+                    key: post.outputKey,
+                    // Test mode builds drafts, they must never be listed.
+                    page: {
+                        url: post.url,
+                        noindex: post.draft || post.scheduled || post.noindex === true,
+                        lastmod: post.updated || post.date
+                    },
+                    source: post.filePath
+                };
+            });
+        });
 
-                return t3hfs.writeMany(writeArr);
+        // Pages require posts for generating the indexes.
+        let pagesRendered = Promise.all([postsLoaded, tagsCollected, assetsReady]).then(([posts, tagInfo, manifest]) => {
+            return renderPugPages(inDirs.content, site, posts, tagInfo, manifest, cache, plugins, test, debug);
+        });
+        let pageOutputs = pagesRendered.then((pages) => {
+            return Array.from(succeeded(pages), (item) => {
+                return {
+                    dir: writeOutDirs.content,
+                    fileName: item.fileName,
+                    data: item.html,
+                    key: item.key,
+                    deps: item.deps,
+                    page: {url: item.url, noindex: item.noindex},
+                    source: path.join(inDirs.content, item.fileName.replace(/\.html$/, '.pug'))
+                };
             });
-        }).catch((err) => {
-            errorAndExit(err);
         });
 
-        // Write files.
-        let writePosts = postTemplateApplied.then((posts) => {
-            let writeArr = Array.from(posts, (item) => {
-                return [writeOutDirs.posts, item.urlName, item.html];
+        // Tag, listing and search pages are generated from templates.
+        let generatedOutputs = (pages) => Array.from(succeeded(pages), (item) => {
+            return {
+                dir: item.dir,
+                fileName: item.fileName,
+                data: item.html,
+                key: item.key,
+                page: {url: item.url, noindex: item.noindex}
+            };
+        });
+        let tagPageOutputs = Promise.all([pageInputs, pagesRendered]).then(([tasksResults, contentPages]) => {
+            return renderTagPages(...tasksResults, site, cache, plugins, test, debug).then((pages) => {
+                return checkPageClashes(pages, contentPages, inDirs.content, writeOutDirs.content, 'tag pages');
+            });
+        }).then(generatedOutputs);
+        let listingPageOutputs = Promise.all([pageInputs, pagesRendered]).then(([tasksResults, contentPages]) => {
+            return renderListingPages(...tasksResults, site, cache, plugins, test, debug).then((pages) => {
+                return checkPageClashes(pages, contentPages, inDirs.content, writeOutDirs.content, 'listing pages');
+            });
+        }).then(generatedOutputs);
+        let searchPageOutputs = pageInputs.then((tasksResults) => {
+            return renderSearchPage(...tasksResults, site, cache, plugins, test, debug);
+        }).then(generatedOutputs);
+
+        let cssOutputs = cssRendered.then((results) => {
+            return Array.from(succeeded(results), (result) => {
+                return {
+                    dir: writeOutDirs.css,
+                    fileName: result.fileName,
+                    data: result.css,
+                    key: result.key,
+                    deps: result.imports
+                };
             });
-            return t3hfs.writeMany(writeArr);
-        }).catch((err) => {
-            errorAndExit(err);
         });
 
-        let writeCSS = Promise.all(cssRendering).then((results) => {
-            let written = [];
-            for (let i = 0; i < site.lessFilesToOutput.length; i++) {
-                // index [1] is the output file name.
-                written.push(t3hfs.write(writeOutDirs.css, site.lessFilesToOutput[i][1], results[i].css));
-            }
-            return Promise.all(written);
-        }).catch((err) => {
-            errorAndExit(err);
+        let jsOutputs = jsLoaded.then((outputs) => {
+            let jsFiles = [];
+            succeeded(outputs).forEach((item) => {
+                jsFiles.push({dir: writeOutDirs.js, fileName: item.fileName, data: item.code, key: item.key});
+                if (item.map) {
+                    jsFiles.push({dir: writeOutDirs.js, fileName: item.fileName + '.map', data: item.map, key: item.key});
+                }
+            });
+            return jsFiles;
+        });
+
+        // Everything is written at once, after the plugins (and the built-in feed, search and sitemap steps) have had
+        // their say. The pages are post-processed last so that pages added by plugins are too.
+        let outputsReady = timed('render', Promise.all([postOutputs, pageOutputs, tagPageOutputs, listingPageOutputs,
+            searchPageOutputs, cssOutputs, jsOutputs]));
+        let writeOutputs = Promise.all([outputsReady, pageInputs, htmlProcessorReady]).then((results) => {
+            let [outputLists, [posts, templates, tagInfo, manifest], processor] = results;
+            ctx.outputs = [].concat(...outputLists);
+            ctx.renderTemplate = (name, locals) => {
+                let template = findTemplate(templates, name, 'plugin');
+                return plugins.renderTemplate(name, template.func, Object.assign({
+                    site: site,
+                    posts: posts,
+                    tags: tagInfo.tags,
+                    categories: tagInfo.categories,
+                    asset: manifest.url,
+                    pretty: test
+                }, locals), null);
+            };
+            return timed('write', plugins.run('beforeWrite').then(() => {
+                let writeArr = Array.from(ctx.outputs, (output) => {
+                    let data = output.fileName.endsWith('.html') ? processor.process(output.data) : output.data;
+                    return [output.dir, output.fileName, data, output.key, output.deps];
+                });
+                let writes = buildCache.filterWrites(cache, writeArr);
+                ctx.written.push(...writes.map(([dir, fileName]) => path.join(dir, fileName)));
+                return writeFiles(writes);
+            }));
         });
 
-        let writeJS = jsLoaded.then((jsFiles) => {
-            let writeArr = Array.from(jsFiles, (item) => {
-                return [writeOutDirs.js, item.name, item.data];
+        // Assets are copied as they are.
+        let copyAssets = assetsNamed.then((assetFiles) => {
+            let copyArr = Array.from(assetFiles, (item) => {
+                return [item.path, writeOutDirs.assets, item.fileName];
             });
-            return t3hfs.writeMany(writeArr);
-        }).catch((err) => {
-            errorAndExit(err);
+            return copyFiles(copyArr, cache, debug);
+        }).then((copied) => {
+            ctx.written.push(...copied);
         });
 
-        Promise.all([writePosts, writeCSS, writeJS]).then(() => {
-            console.log('Publish complete.');
+        // Anything in the js dir that isn't a script is copied as it is.
+        let copyJSFiles = files.listFilesRecursive(inDirs.js).then((jsDirFiles) => {
+            let copyArr = jsDirFiles.filter((item) => !js.isScript(item.relPath)).map((item) => {
+                return [item.path, writeOutDirs.js, item.relPath];
+            });
+            return copyFiles(copyArr, cache, debug);
+        }).then((copied) => {
+            ctx.written.push(...copied);
         });
+
+        // Files linked from posts keep their place relative to the posts, so the rewritten links are predictable.
+        let copyPostAssets = postsLoaded.then((posts) => {
+            let copyArr = [];
+            posts.forEach((post) => {
+                post.assets.forEach((relPath) => {
+                    if (copyArr.find((item) => item[2] == relPath)) return;
+                    copyArr.push([path.join(inDirs.posts, relPath), writeOutDirs.posts, relPath]);
+                });
+            });
+            return copyFiles(copyArr, cache, debug);
+        }).then((copied) => {
+            ctx.written.push(...copied);
+        });
+
+        return settle([writeOutputs, copyAssets, copyJSFiles, copyPostAssets]);
+    }).then(() => {
+        // Only saved after everything is written, a failed build must not mark outputs as fresh.
+        return buildCache.save(cache);
+    }).then(() => {
+        let sources = {};
+        ctx.outputs.forEach((output) => {
+            if (output.source) sources[path.join(output.dir, output.fileName)] = output.source;
+        });
+        ctx.result = {
+            // Includes the outputs that were unchanged and not rewritten.
+            outputs: Object.keys(cache.next.outputs),
+            written: ctx.written,
+            sources: sources,
+            warnings: ctx.warnings,
+            timings: ctx.timings
+        };
+        // Everything that could be built is written, the outputs of what failed are left as they were.
+        if (ctx.errors.length > 0) throw buildFailed(ctx.errors, ctx.result);
+        return plugins.run('buildComplete');
+    }).then(() => {
+        return ctx.result;
+    });
+}
+
+/**
+ * Waits for all the promises, even once one has rejected, so that nothing is still being written when the build ends.
+ * @param {Promise[]} promises - The promises.
+ * @return {Promise.<[]>} - The results, rejects with the first error once all are done.
+ */
+function settle(promises) {
+    let failures = [];
+    return Promise.all(promises.map((promise) => promise.catch((err) => {
+        failures.push(err);
+    }))).then((results) => {
+        if (failures.length > 0) throw failures[0];
+        return results;
     });
 }
 
+/**
+ * The error for a build with errors in some of its posts, pages or files, listing every one of them.
+ * @param {BuildError[]} failures - The errors, in the order they happened.
+ * @param {BuildResult} result - What was built anyway.
+ * @return {BuildFailedError} - The error.
+ */
+function buildFailed(failures, result) {
+    let count = (n, what) => `${n} ${what}${n == 1 ? '' : 's'}`;
+    let summary = `Build failed with ${count(failures.length, 'error')}`;
+    if (result.warnings.length > 0) summary += ` and ${count(result.warnings.length, 'warning')}`;
+    // Messages from pug and LESS can be several lines long, the later lines are indented under the first.
+    let list = failures.map((err) => `  ${err.name}: ${err.message.split('\n').join('\n    ')}`);
+    return new errors.BuildFailedError([`${summary}:`, ...list].join('\n'), {errors: failures, report: result});
+}
 /**
  * @typedef {Object} DirObject
  * @property {string} dir - The dir containing the dirs in the dirs property.
@@ -242,8 +682,6 @@ function resolveAndCreateDirs(dirObject, debug) {
         chain = chain.then(() => {
             return t3hfs.ensureDirCreated(fullDir).then(() => {
                 debug && console.log('created ' + key + ': ' + fullDir);
-            }).catch((err) => {
-                errorAndExit(err);
             });
         });
     });
@@ -255,81 +693,246 @@ function resolveAndCreateDirs(dirObject, debug) {
 }
 
 /**
- * Read all the files from the JS dir. Doesn't do anything else yet.
+ * Writes the files, creating any sub-dirs in the file names first (e.g. permalinks like 2017/04/slug/index.html).
+ * @param {[]} writeArr - List of [dir, fileName, data] for t3hfs.writeMany.
+ * @return {Promise} - Promise on completion of writing all the files.
+ */
+function writeFiles(writeArr) {
+    let dirs = [];
+    writeArr.forEach(([dir, fileName]) => {
+        let fileDir = path.dirname(path.join(dir, fileName));
+        if (dirs.indexOf(fileDir) == -1) dirs.push(fileDir);
+    });
+    // One after another, like resolveAndCreateDirs, since they may share a super-dir.
+    let chain = Promise.resolve();
+    dirs.forEach((dir) => {
+        chain = chain.then(() => t3hfs.ensureDirCreated(dir));
+    });
+    return chain.then(() => t3hfs.writeMany(writeArr));
+}
+
+/**
+ * Copies files that may not be text, e.g. images and fonts, creating any sub-dirs in the file names first.
+ * Files with the same size and modified time as the last build are skipped if the copy still exists.
+ * @param {[]} copyArr - List of [srcPath, dir, fileName].
+ * @param {BuildCache} cache - Build cache.
+ * @param {boolean} debug - True enables debug output.
+ * @return {Promise.<string[]>} - Output paths of the files copied, the unchanged ones are left out.
+ */
+function copyFiles(copyArr, cache, debug) {
+    return Promise.all(copyArr.map(([src]) => files.stat(src))).then((allStats) => {
+        let copies = [];
+        copyArr.forEach(([src, dir, fileName], i) => {
+            let outputPath = path.join(dir, fileName);
+            let key = buildCache.hash(cache.config, src, allStats[i].size, allStats[i].mtime.getTime());
+            if (buildCache.isFresh(cache, outputPath, key)) {
+                debug && console.log(`unchanged: ${fileName}`);
+                return;
+            }
+            buildCache.record(cache, outputPath, key);
+            copies.push([src, outputPath]);
+        });
+
+        let chain = Promise.resolve();
+        copies.forEach(([, outputPath]) => {
+            chain = chain.then(() => t3hfs.ensureDirCreated(path.dirname(outputPath)));
+        });
+        return chain.then(() => {
+            return Promise.all(copies.map(([src, outputPath]) => files.copyFile(src, outputPath)));
+        }).then(() => {
+            return copies.map(([, outputPath]) => outputPath);
+        });
+    });
+}
+
+/**
+ * Names the copied assets, the ones in the fingerprinted sub-dirs get a hash of their contents in the name.
+ * @param {{}[]} assetFiles - The files in the assets dir {path, relPath}.
+ * @param {string[]} fingerprintDirs - Sub-dirs of the assets dir to fingerprint, e.g. ['images', 'fonts'].
+ * @return {Promise.<{}[]>} - The files, each with a fileName to write it as.
+ */
+function nameAssets(assetFiles, fingerprintDirs) {
+    let prefixes = fingerprintDirs.map((dir) => dir.replace(/\/*$/, '/'));
+    return Promise.all(assetFiles.map((item) => {
+        if (!prefixes.some((prefix) => item.relPath.startsWith(prefix))) {
+            item.fileName = item.relPath;
+            return item;
+        }
+        return assets.hashFile(item.path).then((contentHash) => {
+            item.fileName = assets.fingerprint(item.relPath, contentHash);
+            return item;
+        });
+    }));
+}
+
+/**
+ * Read all the scripts from the JS dir and its sub-dirs, bundle and minify them. The search script is included if
+ * the search is enabled.
+ * Outputs with the same sources and mode as the last build are skipped.
  * @param {string} jsDir - Directory containing the js files.
+ * @param {{}} site - Site config, for the jsBundles and the js output dir.
+ * @param {BuildCache} cache - Build cache.
+ * @param {boolean} minify - True minifies and writes source maps, false leaves the JS readable (test mode).
+ * @param {boolean} fingerprint - True adds a hash of the code to the file names, these are always rendered.
  * @param {boolean} debug - True enables debug mode.
- * @return {Promise<{}[]>} - List of {name, path, dir, data} objects.
+ * @return {Promise<JSOutput[]>} - List of {name, fileName, code, map, key}, code is null for skipped outputs. If the
+ * JS has errors every output has the error instead.
  */
-function loadJS(jsDir, debug) {
-    // This could have a minify step but I don't have enough js to bother.
-    let files = t3hfs.readFilesInDir(jsDir);
-    if (debug) {
-        files.then((result) => {
-            console.log(`loaded ${result.length} js files`);
+function loadJS(jsDir, site, cache, minify, fingerprint, debug) {
+    // The search page needs the search script, a search.js of the site's own replaces it.
+    let builtIn = site.search ? t3hfs.read(search.SCRIPT_PATH).then((data) => {
+        return [{name: 'search.js', path: search.SCRIPT_PATH, data: data, relDir: '', relPath: 'search.js'}];
+    }) : Promise.resolve([]);
+    return Promise.all([files.readFilesRecursive(jsDir, js.isScript), builtIn]).then(([jsFiles, builtInFiles]) => {
+        debug && console.log(`loaded ${jsFiles.length} js files`);
+        builtInFiles.forEach((file) => {
+            if (!jsFiles.find((item) => item.relPath == file.relPath)) jsFiles.push(file);
         });
-    }
-    return files;
+        let skip = (output) => {
+            let outputPath = path.join(site.outputDir.full.js, output.fileName);
+            output.key = buildCache.hash(cache.config, ...output.sources.map((file) => file.relPath + file.data));
+            // Check both so that both are carried over to the next manifest.
+            let fresh = buildCache.isFresh(cache, outputPath, output.key);
+            let mapFresh = !minify || buildCache.isFresh(cache, outputPath + '.map', output.key);
+            fresh = fresh && mapFresh;
+            debug && fresh && console.log(`unchanged: ${output.fileName}`);
+            return fresh;
+        };
+        try {
+            return js.process(jsFiles, site.jsBundles, minify, fingerprint ? undefined : skip, fingerprint);
+        } catch (err) {
+            // Nothing is written, the plain names keep asset() working so that the pages can still be rendered.
+            // A bundle that lists a missing file can't be planned either, that stops the build.
+            let error = errors.wrap(err, errors.ScriptError);
+            return js.planOutputs(jsFiles, site.jsBundles).map((output) => {
+                return Object.assign(output, {code: null, error: error});
+            });
+        }
+    }).catch((err) => {
+        throw errors.wrap(err, errors.ScriptError);
+    });
 }
 
 /**
- * Renders the non-post pages of the website from Pug.
+ * Renders the non-post pages of the website from Pug, keeping the sub-dirs of the page dir in the output.
+ * Each page gets a page object with its url, and can use absolute extends/includes from the templates dir.
+ * Pages are skipped if the page, the templates it uses and the posts are unchanged since the last build.
  * @param {string} pageDir - Folder containing pug pages.
  * @param {{}} site - Site vars.
  * @param {{}[]} posts - All the posts, used for index generating.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
  * @param {boolean} test - True enables test mode, makes the HTML pretty.
  * @param {boolean} debug - True enables debug output.
- * @return {Promise<{}[]>} - List of {html, fileName}.
+ * @return {Promise<{}[]>} - List of {html, fileName, url, noindex, key, deps}, html is null for skipped pages.
+ * The fileName includes the sub-dir.
  */
-function renderPugPages(pageDir, site, posts, test, debug) {
+function renderPugPages(pageDir, site, posts, tagInfo, manifest, cache, plugins, test, debug) {
     debug && console.log('Rendering pug pages ...');
-    return t3hfs.readFilesInDir(pageDir, (fileName) => fileName.endsWith('.pug')).then((files) => {
-        let options = {
-            site: site,
-            posts: posts,
-            pretty: test
-        };
-
-        let renders = [];
-        files.forEach((file) => {
-            renders.push(new Promise((resolve) => {
-                options.filename = file.path;
-                let html = pug.render(file.data, options, undefined);
-                let info = path.parse(file.path);
-                let page = {
-                    fileName: info.name + '.html',
-                    html: html
-                };
-                resolve(page);
-            }));
+    // Any page may list the posts, so every page depends on all of them (the tags come from the posts).
+    let postsKey = posts.cacheKey;
+    return files.readFilesRecursive(pageDir, (fileName) => fileName.endsWith('.pug')).then((pageFiles) => {
+        let renders = pageFiles.map((file) => {
+            let fileName = file.relPath.replace(/\.pug$/, '.html');
+            let outputPath = path.join(site.outputDir.full.content, fileName);
+            let url = path.join(site.outputDir.dirs.content, fileName);
+            let parts = [file.data, postsKey, manifest.key];
+            return buildCache.dependencyKey(cache, parts, buildCache.previousDeps(cache, outputPath)).then((key) => {
+                if (buildCache.isFresh(cache, outputPath, key)) {
+                    debug && console.log(`unchanged: ${fileName}`);
+                    let info = buildCache.getPage(cache, outputPath);
+                    return {fileName: fileName, url: url, noindex: info.noindex === true, html: null};
+                }
+                let render;
+                try {
+                    render = pug.compile(file.data, {
+                        filename: file.path,
+                        basedir: site.inputDir.full.templates,
+                        pretty: test
+                    });
+                } catch (err) {
+                    throw errors.wrap(err, errors.TemplateError, {template: file.relPath, file: file.path, line: err.line});
+                }
+                // Pages used to set page.url by hand, they only need to add the title and description now.
+                // They can also set page.noindex to keep out of the sitemap.
+                let page = {url: url};
+                let html = plugins.renderTemplate(file.relPath, render, {
+                    site: site,
+                    page: page,
+                    posts: posts,
+                    tags: tagInfo.tags,
+                    categories: tagInfo.categories,
+                    asset: manifest.url
+                }, outputPath);
+                buildCache.setPage(cache, outputPath, {noindex: page.noindex === true});
+                // The templates used may have changed, so the key is rebuilt from the new dependencies.
+                return buildCache.dependencyKey(cache, parts, render.dependencies).then((newKey) => {
+                    return {
+                        fileName: fileName,
+                        url: url,
+                        noindex: page.noindex === true,
+                        html: html,
+                        key: newKey,
+                        deps: render.dependencies
+                    };
+                });
+            }).catch((err) => {
+                // Left out of the site, the build fails once everything else is done.
+                return {fileName: fileName, url: url, error: err};
+            });
+        });
+        return Promise.all(renders).then((pages) => {
+            debug && console.log('... rendered pug pages.');
+            return pages;
         });
-        debug && console.log('... rendered pug pages.');
-        return Promise.all(renders);
     });
 }
 
 /**
- * Apply templates to posts.
+ * Apply templates to posts. Posts are skipped if the post and the post template are unchanged since the last build.
  * @param {[]} posts - Posts with all their information.
- * @param {[]} templates - Name and compiled pug function {name, func}.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
  * @param {{}} site - Lots of site info (see pug templates).
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
  * @param {boolean} test - True enables test mode, avoid minifying anything.
  * @param {boolean} debug - True enables debug output.
- * @return {Promise<[]>} - The posts, each with a .html property representing the final file data.
+ * @return {Promise<[]>} - The posts, each with a .html property representing the final file data (null if skipped)
+ * and a .outputKey for the cache. Posts that failed to render have the .error instead.
  */
-function applyPostTemplates(posts, templates, site, test, debug) {
+function applyPostTemplates(posts, templates, tagInfo, manifest, site, cache, plugins, test, debug) {
     debug && console.log('Applying post templates ...');
     return new Promise((resolve, reject) => {
-        let postTemplate = templates.find((e) => e.name == 'post');
         try {
+            let postTemplate = findTemplate(templates, 'post', 'posts');
             posts.forEach((post) => {
-                // The post template is just the contents of the main tag of the article page.
-                post.html = postTemplate.func({
-                    filename: post.fileName,
-                    site: site,
-                    page: post,
-                    content: post.html,
-                    pretty: test // neat output for test mode.
-                });
+                post.outputKey = buildCache.hash(post.cacheKey, postTemplate.hash, tagInfo.key, manifest.key);
+                let outputPath = path.join(site.outputDir.full.posts, post.urlName);
+                if (buildCache.isFresh(cache, outputPath, post.outputKey)) {
+                    debug && console.log(`unchanged: ${post.urlName}`);
+                    post.html = null;
+                    return;
+                }
+                try {
+                    // The post template is just the contents of the main tag of the article page.
+                    post.html = plugins.renderTemplate(postTemplate.name, postTemplate.func, {
+                        filename: post.fileName,
+                        site: site,
+                        page: post,
+                        tags: tagInfo.tags,
+                        categories: tagInfo.categories,
+                        content: post.content,
+                        asset: manifest.url,
+                        pretty: test // neat output for test mode.
+                    }, outputPath);
+                } catch (err) {
+                    post.html = null;
+                    post.error = err;
+                }
             });
         } catch (err) {
             reject(err);
@@ -340,69 +943,331 @@ function applyPostTemplates(posts, templates, site, test, debug) {
     });
 }
 
+/**
+ * Renders a page for each tag into the tags dir and the tag cloud page into the content dir,
+ * using the templates named in site.tags. Nothing is rendered if the site has no tags config.
+ * @param {Post[]} posts - All the posts.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
+ * @param {{}} site - Lots of site info (see pug templates).
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
+ * @param {boolean} test - True enables test mode, makes the HTML pretty.
+ * @param {boolean} debug - True enables debug output.
+ * @return {Promise<{}[]>} - List of {dir, fileName, url, noindex, html, key}, html is null for skipped pages.
+ */
+function renderTagPages(posts, templates, tagInfo, manifest, site, cache, plugins, test, debug) {
+    if (!site.tags) return Promise.resolve([]);
+    debug && console.log('Rendering tag pages ...');
+    return new Promise((resolve) => {
+        let tagTemplate = findTemplate(templates, site.tags.template, 'tag pages');
+        let cloudTemplate = site.tags.cloudTemplate && findTemplate(templates, site.tags.cloudTemplate, 'tag cloud');
+        let render = generatedPageRenderer(posts, tagInfo, manifest, site, cache, plugins, test, debug);
+        let pages = [];
+
+        Object.keys(tagInfo.tags).forEach((name) => {
+            let tag = tagInfo.tags[name];
+            pages.push(render(tagTemplate, site.outputDir.full.tags, tag.urlName, {
+                tag: tag,
+                page: {
+                    title: `Tagged: ${name}`,
+                    description: `Posts tagged ${name}.`,
+                    url: tag.url
+                }
+            }));
+        });
+        if (cloudTemplate) {
+            // In the content dir so that it can't collide with a tag page, it can with a content page.
+            let fileName = site.tags.cloudFileName || 'tags.html';
+            pages.push(render(cloudTemplate, site.outputDir.full.content, fileName, {
+                page: {
+                    title: 'Tags',
+                    description: 'All the tags and how many posts have them.',
+                    url: path.join(site.outputDir.dirs.content, fileName)
+                }
+            }));
+        }
+        debug && console.log('... rendered tag pages.');
+        resolve(pages);
+    });
+}
+
+/**
+ * Renders the paginated post listings (index.html, page/2.html, ...) and the archive page,
+ * using the templates named in site.listing and site.archive. Either is skipped if it has no config.
+ * @param {Post[]} posts - All the posts.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
+ * @param {{}} site - Lots of site info (see pug templates).
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
+ * @param {boolean} test - True enables test mode, makes the HTML pretty.
+ * @param {boolean} debug - True enables debug output.
+ * @return {Promise<{}[]>} - List of {dir, fileName, url, noindex, html, key}, html is null for skipped pages.
+ */
+function renderListingPages(posts, templates, tagInfo, manifest, site, cache, plugins, test, debug) {
+    debug && console.log('Rendering listing pages ...');
+    return new Promise((resolve) => {
+        let render = generatedPageRenderer(posts, tagInfo, manifest, site, cache, plugins, test, debug);
+        let pages = [];
+
+        if (site.listing) {
+            let template = findTemplate(templates, site.listing.template, 'listing pages');
+            listing.paginate(posts, site.listing.pageSize || 10, site.outputDir.dirs.content, site.outputDir.dirs.listing)
+                .forEach((pagination) => {
+                    let first = pagination.number == 1;
+                    let dir = first ? site.outputDir.full.content : site.outputDir.full.listing;
+                    pages.push(render(template, dir, pagination.fileName, {
+                        pagination: pagination,
+                        page: {
+                            title: first ? 'Home' : `Page ${pagination.number}`,
+                            description: first ? site.description : `Page ${pagination.number} of the posts.`,
+                            url: pagination.url
+                        }
+                    }));
+                });
+        }
+        if (site.archive) {
+            let template = findTemplate(templates, site.archive.template, 'archive');
+            let fileName = site.archive.fileName || 'archive.html';
+            pages.push(render(template, site.outputDir.full.content, fileName, {
+                archive: listing.archive(posts),
+                page: {
+                    title: 'Archive',
+                    description: 'Every post by year and month.',
+                    url: path.join(site.outputDir.dirs.content, fileName)
+                }
+            }));
+        }
+        debug && console.log('... rendered listing pages.');
+        resolve(pages);
+    });
+}
+
+/**
+ * Renders the search page using the template named in site.search, skipped if there is no search config.
+ * The template gets search.indexUrl for the data-search-index attribute read by the search script.
+ * @param {Post[]} posts - All the posts.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
+ * @param {{}} site - Lots of site info (see pug templates).
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
+ * @param {boolean} test - True enables test mode, makes the HTML pretty.
+ * @param {boolean} debug - True enables debug output.
+ * @return {Promise<{}[]>} - List of {dir, fileName, url, noindex, html, key}, html is null for skipped pages.
+ */
+function renderSearchPage(posts, templates, tagInfo, manifest, site, cache, plugins, test, debug) {
+    if (!site.search) return Promise.resolve([]);
+    debug && console.log('Rendering search page ...');
+    return new Promise((resolve) => {
+        let conf = Object.assign({}, search.DEFAULT_SEARCH_CONFIG, site.search);
+        let template = findTemplate(templates, conf.template, 'search page');
+        let render = generatedPageRenderer(posts, tagInfo, manifest, site, cache, plugins, test, debug);
+        let indexUrl = `${site.baseUrl}/${path.posix.join(site.outputDir.dirs.content, conf.indexFileName)}`;
+        let page = render(template, site.outputDir.full.content, conf.fileName, {
+            search: {indexUrl: indexUrl},
+            page: {
+                title: 'Search',
+                description: `Search ${site.title}.`,
+                url: path.join(site.outputDir.dirs.content, conf.fileName)
+            }
+        });
+        debug && console.log('... rendered search page.');
+        resolve([page]);
+    });
+}
+
+/**
+ * Checks that every template the config needs is loaded.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {[]} required - List of [template name, the config key or what needs it], see config.requiredTemplates.
+ * @return {void}
+ * @throws {TemplateError} - Listing the missing templates, the template property is the first.
+ */
+function checkTemplates(templates, required) {
+    let missing = required.filter(([name]) => !templates.find((e) => e.name == name));
+    if (missing.length == 0) return;
+    let list = missing.map(([name, key]) => `${name}.pug (for ${key})`);
+    throw new errors.TemplateError(`Missing from the templates dir: ${list.join(', ')}.`, {template: missing[0][0]});
+}
+
+/**
+ * Finds a template by name.
+ * @param {[]} templates - Name, compiled pug function and hash {name, func, hash}.
+ * @param {string} name - Template name, the file name without the extension.
+ * @param {string} purpose - What the template is for, for the error message.
+ * @return {{}} - The template.
+ * @throws {TemplateError} - If the template doesn't exist.
+ */
+function findTemplate(templates, name, purpose) {
+    let template = templates.find((e) => e.name == name);
+    if (!template) {
+        throw new errors.TemplateError(`Template '${name}' for the ${purpose} is missing from the templates dir.`,
+            {template: name});
+    }
+    return template;
+}
+
+/**
+ * Creates a function for rendering pages generated from a template rather than a file of their own.
+ * Every generated page depends on all the posts, so they are only skipped if no post has changed.
+ * @param {Post[]} posts - All the posts.
+ * @param {TagInfo} tagInfo - Posts grouped by tag and category.
+ * @param {AssetManifest} manifest - Names of the css, js and assets for the asset() helper.
+ * @param {{}} site - Lots of site info (see pug templates).
+ * @param {BuildCache} cache - Build cache.
+ * @param {Plugins} plugins - Plugins, templates are rendered between their template hooks.
+ * @param {boolean} test - True enables test mode, makes the HTML pretty.
+ * @param {boolean} debug - True enables debug output.
+ * @return {function} - (template, dir, fileName, locals) => {dir, fileName, url, noindex, html, key}, html is null
+ * if skipped. A page that fails to render has the error instead of the html. The locals must have a page with its url.
+ */
+function generatedPageRenderer(posts, tagInfo, manifest, site, cache, plugins, test, debug) {
+    return (template, dir, fileName, locals) => {
+        let key = buildCache.hash(posts.cacheKey, template.hash, manifest.key, fileName);
+        let outputPath = path.join(dir, fileName);
+        let url = locals.page.url;
+        if (buildCache.isFresh(cache, outputPath, key)) {
+            debug && console.log(`unchanged: ${fileName}`);
+            let info = buildCache.getPage(cache, outputPath);
+            return {dir: dir, fileName: fileName, url: url, noindex: info.noindex === true, html: null};
+        }
+        let html;
+        try {
+            html = plugins.renderTemplate(template.name, template.func, Object.assign({
+                site: site,
+                posts: posts,
+                tags: tagInfo.tags,
+                categories: tagInfo.categories,
+                asset: manifest.url,
+                pretty: test
+            }, locals), outputPath);
+        } catch (err) {
+            return {dir: dir, fileName: fileName, url: url, error: err};
+        }
+        // The template can set page.noindex to keep the page out of the sitemap.
+        let noindex = locals.page.noindex === true;
+        buildCache.setPage(cache, outputPath, {noindex: noindex});
+        return {
+            dir: dir,
+            fileName: fileName,
+            url: url,
+            noindex: noindex,
+            key: key,
+            html: html
+        };
+    };
+}
+
+/**
+ * Checks that none of the generated pages has the same output as a content page, one would overwrite the other.
+ * @param {{}[]} pages - The generated pages {dir, fileName}.
+ * @param {{}[]} contentPages - The content pages from renderPugPages {fileName}, including the ones that failed.
+ * @param {string} contentDir - Input dir of the content pages, for naming the page.
+ * @param {string} outputDir - Output dir of the content pages.
+ * @param {string} purpose - What the generated pages are, e.g. 'listing pages'.
+ * @return {{}[]} - The generated pages.
+ * @throws {PostError} - Naming the content page and the generated page it clashes with.
+ */
+function checkPageClashes(pages, contentPages, contentDir, outputDir, purpose) {
+    pages.forEach((page) => {
+        let outputPath = path.join(page.dir, page.fileName);
+        let clash = contentPages.find((item) => path.join(outputDir, item.fileName) == outputPath);
+        if (!clash) return;
+        let source = path.join(contentDir, clash.fileName.replace(/\.html$/, '.pug'));
+        throw new errors.PostError(`${source}: Has the same output as one of the ${purpose} (${outputPath}), ` +
+            'one would overwrite the other.', {file: source});
+    });
+    return pages;
+}
+
 /**
  * Renders a LESS file to CSS, returning it as a string. Assumes all imports are in-lined so single file output.
+ * Skipped if the file and its imports are unchanged since the last build.
  * @param {string} filePath - Less file path.
+ * @param {string} outputPath - Path the CSS will be written to, identifies it in the cache. Null if the name
+ * depends on the output (fingerprinted), it is then always rendered.
+ * @param {BuildCache} cache - Build cache.
  * @param {boolean} compress - True to minify output.
  * @param {boolean} debug - True for debug output mode.
- * @return {Promise<string>} - Promise of the final CSS file contents.
+ * @return {Promise<{}>} - Promise of the less output {css, imports, key}, css is null if skipped.
  */
-function renderLessToCss(filePath, compress, debug) {
+function renderLessToCss(filePath, outputPath, cache, compress, debug) {
     debug && console.log('Rendering CSS from LESS...');
     return t3hfs.read(filePath).then((data) => {
-        let lessOptions = {
-            filename: path.resolve(filePath),
-            paths: path.parse(filePath).dir,
-            compress: compress
-        };
-        // Is a promise that returns the CSS.
-        debug && console.log('... rendered CSS from LESS.');
-        return less.render(data, lessOptions);
+        return buildCache.dependencyKey(cache, [data], buildCache.previousDeps(cache, outputPath)).then((key) => {
+            if (buildCache.isFresh(cache, outputPath, key)) {
+                debug && console.log(`unchanged: ${outputPath}`);
+                return {css: null};
+            }
+            let lessOptions = {
+                filename: path.resolve(filePath),
+                paths: path.parse(filePath).dir,
+                compress: compress
+            };
+            return less.render(data, lessOptions).then((output) => {
+                debug && console.log('... rendered CSS from LESS.');
+                return buildCache.dependencyKey(cache, [data], output.imports).then((newKey) => {
+                    output.key = newKey;
+                    return output;
+                });
+            }, (err) => {
+                // The error may be in an imported file.
+                let file = err.filename || filePath;
+                let at = err.line ? `${file}:${err.line}` : file;
+                throw errors.wrap(err, errors.StyleError, {file: file, line: err.line, message: `${at}: ${err.message}`});
+            });
+        });
     });
 }
 
 
 /**
- * Quickly display error and crash. Fatal errors only.
- * @param  {Error} err - The error.
- * @returns {void} - Never (exits).
- */
-function errorAndExit(err) {
-    console.log(err);
-    process.exit(1);
-}
-
-
-/**
- * Loads all pug templates from specified dir.
- * @param {string} dir - Path of the dir containing templates, not recursive.
+ * Loads all pug templates from specified dir and its sub-dirs.
+ * @param {string} dir - Path of the dir containing templates.
+ * @param {BuildCache} cache - Build cache, used to hash the templates.
  * @param {boolean} debug - Enable debug output (default false).
- * @returns {Promise.<{}[]>} - List of {name, compiledPugFunction} in a promise.
+ * @returns {Promise.<{}[]>} - List of {name, func, hash} in a promise, the hash covers the extended templates.
+ * The name of a template in a sub-dir includes the sub-dir, e.g. 'partials/card'.
  */
-function loadTemplates(dir, debug) {
+function loadTemplates(dir, cache, debug) {
     debug && console.log('Loading templates ...');
     let filter = (fileName) => fileName.endsWith('.pug');
-    return t3hfs.readFilesInDir(dir, filter).then((files) => {
+    return files.readFilesRecursive(dir, filter).then((templateFiles) => {
         let templates = [];
-        try {
-            files.forEach((file) => {
-                let options = {
-                    filename: file.path,
-                    compileDebug: debug
-                };
+        templateFiles.forEach((file) => {
+            let options = {
+                filename: file.path,
+                compileDebug: debug
+            };
+            let name = file.relPath.replace(/\.pug$/, ''); //removes ext
+            let template;
+            try {
                 // The inspection here is broken, Options type is undefined.
                 //noinspection JSCheckFunctionSignatures
-                let template = pug.compile(file.data, options);
-                templates.push({
-                    name: path.parse(file.path).name, //removes ext
-                    func: template
-                });
+                template = pug.compile(file.data, options);
+            } catch (err) {
+                throw errors.wrap(err, errors.TemplateError, {template: name, file: file.path});
+            }
+            templates.push({
+                name: name,
+                func: template,
+                source: file.data
             });
-        } catch (err) {
-            return Promise.reject(err);
-        }
-        debug && console.log('... templates loaded.');
-        return Promise.resolve(templates);
+        });
+        // The hash of a template includes everything it extends or includes.
+        return Promise.all(templates.map((template) => {
+            return buildCache.dependencyKey(cache, [template.source], template.func.dependencies).then((key) => {
+                template.hash = key;
+            });
+        })).then(() => {
+            debug && console.log('... templates loaded.');
+            return templates;
+        });
     });
 }
 
@@ -418,74 +1283,244 @@ function loadTemplates(dir, debug) {
 /**
  * @typedef {Object} Post
  * @property {string} html - File contents.
+ * @property {string} content - The converted markdown, before templates are applied.
+ * @property {{}[]} toc - Headings of the content nested by level {level, text, id, children}, ids are for linking.
+ * @property {number} wordCount - Words in the content, not counting code blocks.
+ * @property {number} readingTime - Estimated minutes to read the post.
+ * @property {string} cacheKey - Hash of the post file, config and whether it is a draft or scheduled, for the keys of
+ * the pages that show the post.
+ * @property {boolean} draft - True if the front matter has draft: true.
+ * @property {boolean} scheduled - True if the post is dated in the future.
+ * @property {boolean} noindex - True if the front matter has noindex: true, left out of the sitemap.
+ * @property {string[]} tags - Tags from the front matter, always a list.
+ * @property {string} [category] - Category from the front matter.
  * @property {string} filePath
  * @property {string} fileName
+ * @property {string} relDir - Sub-dir of the posts dir the post is in, '' if none.
+ * @property {string[]} assets - Files in the posts dir linked from the post, relative to the posts dir.
  * @property {string} title
  * @property {Date} date
+ * @property {Date} [updated] - When the post was last changed, from the front matter.
  * @property {string} url
- * @property {string} urlName
+ * @property {string} urlName - File path relative to the posts dir, from the permalink.
+ * @property {string} slug - Url friendly title, or the slug from the front matter.
  * @property {PathParse} file
  */
 
 /**
- * Loads posts from dir, reads info and converts md.
- * @param {string} dir - Dir to load posts from, not recursive.
- * @param {string} linkOutputDir - Needed for generating the url.
+ * Loads posts from dir, reads info and converts md. The conversion is skipped for posts unchanged since the last build.
+ * Drafts and posts dated in the future are left out unless site.drafts is set.
+ * @param {string} dir - Dir to load posts from, including sub-dirs.
+ * @param {{}} site - Site config, for the posts output dir, drafts flag, permalink pattern and slug rules.
+ * @param {BuildCache} cache - Build cache.
+ * @param {Reporter} report - Gets the warnings and the errors of the posts that are left out.
  * @param {boolean} debug - Enable debug output (default false).
  * @return {Promise.<{Post}[]>} - List of {html, filePath, fileName, title, date, url, urlName}, the urls have spaces
  * replaced.
  */
-function loadPosts(dir, linkOutputDir, debug) {
+function loadPosts(dir, site, cache, report, debug) {
     debug && console.log('Loading posts ...');
+    let linkOutputDir = site.outputDir.dirs.posts;
+    let markdownConf = site.markdown || {};
+    let now = new Date();
+    // Permalink to file path, two posts with the same permalink would overwrite each other.
+    let permalinks = {};
     let filter = (fileName) => fileName.endsWith('.md');
-    return t3hfs.readFilesInDir(dir, filter).then((files) => {
+    // The markdown-it instance is set up before anything is read so that a broken plugin fails the build early.
+    let markdown;
+    return Promise.resolve().then(() => {
+        markdown = md.configure(markdownConf);
+        return Promise.all([files.readFilesRecursive(dir, filter), files.listFilesRecursive(dir)]);
+    }).then((results) => {
+        let [postFiles, dirFiles] = results;
+        // Everything else in the posts dir can be linked from the posts, e.g. a folder of images next to a post.
+        let assetPaths = dirFiles.filter((item) => !filter(item.relPath)).map((item) => item.relPath);
+        // Adding or removing one changes which links are rewritten.
+        let assetsKey = buildCache.hash(...assetPaths);
         let posts = [];
-        files.forEach((file) => {
-            let mdContent;
-            let post;
-            if (file.data.startsWith('{')) {
-                let res = md.extractFrontmatter(file.data);
-                post = res.json;
-                mdContent = res.file;
-                debug && console.log(post.description);
-            } else {
-                post = {};
-                mdContent = file.data;
-            }
+        postFiles.forEach((file) => {
+            try {
+                let mdContent;
+                let post;
+                let key = buildCache.hash(cache.config, file.path, file.data, assetsKey, markdown.key);
+                let cached = buildCache.getPost(cache, file.path, key);
+                if (cached) {
+                    post = Object.assign({}, cached.frontMatter);
+                    post.content = cached.content;
+                    post.assets = cached.assets;
+                    post.toc = cached.toc;
+                    post.wordCount = cached.wordCount;
+                    post.readingTime = cached.readingTime;
+                } else {
+                    let res = md.extractFrontmatter(file.data);
+                    post = res.data;
+                    mdContent = res.file;
+                    debug && console.log(`${file.name}: ${res.format || 'no'} front matter`);
+                    let frontMatter = Object.assign({}, post);
+                    post.assets = [];
+                    let converted = md.convert(mdContent, {
+                        markdownIt: markdown.markdownIt,
+                        rewriteUrl: (url) => rewritePostAssetUrl(url, file.relDir, assetPaths, site, post.assets),
+                        anchors: markdownConf.anchors,
+                        wordsPerMinute: markdownConf.wordsPerMinute,
+                        firstLine: res.line
+                    });
+                    // Only shown when the post is converted, an unchanged post is not warned about again.
+                    converted.warnings.forEach((warning) => report.warn(`${file.path}: ${warning}`));
+                    post.content = converted.html;
+                    post.toc = converted.toc;
+                    post.wordCount = converted.wordCount;
+                    post.readingTime = converted.readingTime;
+                    buildCache.setPost(cache, file.path, {
+                        key: key,
+                        frontMatter: frontMatter,
+                        content: post.content,
+                        assets: post.assets,
+                        toc: post.toc,
+                        wordCount: post.wordCount,
+                        readingTime: post.readingTime
+                    });
+                }
 
-            post.filePath = file.path;
-            post.fileName = file.name;
-            post.html = md.convert(mdContent);
+                tags.normalise(post);
+                post.filePath = file.path;
+                post.fileName = file.name;
+                post.relDir = file.relDir;
+                post.html = post.content;
 
-            setPostDateTitleInfo(post, debug);
-            post.url = path.join(linkOutputDir, post.urlName);
-            posts.push(post);
+                setPostDateTitleInfo(post, site, now, debug);
+                post.url = path.join(linkOutputDir, post.urlName);
+
+                post.draft = post.draft === true;
+                post.noindex = post.noindex === true;
+                // Scheduled depends on the time of the build, the pages of a post that goes live have to change.
+                post.cacheKey = buildCache.hash(key, post.draft, post.scheduled);
+                if ((post.draft || post.scheduled) && !site.drafts) {
+                    debug && console.log(`unpublished: ${post.fileName}`);
+                    return;
+                }
+                if (permalinks[post.urlName]) {
+                    throw new errors.PostError(`${post.filePath}: Has the same permalink as ` +
+                        `${permalinks[post.urlName]} (${post.urlName}), set a different slug or permalink in the front ` +
+                        'matter.', {file: post.filePath});
+                }
+                permalinks[post.urlName] = post.filePath;
+                posts.push(post);
+            } catch (err) {
+                // The post is left out and the build carries on, so that every broken post is reported at once.
+                // Name the post, the markdown and JSON errors don't know which file they came from.
+                let line = /\bline (\d+)/.exec(err.message);
+                report.fail(errors.wrap(err, errors.PostError, {
+                    file: file.path,
+                    line: line ? Number(line[1]) : undefined,
+                    message: `${file.path}: ${err.message}`
+                }));
+            }
         });
+        // This is for generating indexes in the pages.
+        posts.dir = linkOutputDir;
+        // Changes whenever any post changes, for things that list the posts.
+        posts.cacheKey = buildCache.hash(...posts.map((post) => post.cacheKey));
         debug && console.log('... posts loaded.');
         return posts;
     });
 }
 
 /**
- * Extracts title and date from filename, makes filename url friendly.
+ * The local calendar date.
+ * @param {Date} date - The date.
+ * @return {string} - The date as YYYY-MM-DD in the local timezone.
+ */
+function localDate(date) {
+    let pad = (n) => ('0' + n).slice(-2);
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Rewrites a relative link from a post to a file in the posts dir to the absolute url of its copy.
+ * Absolute urls, fragments and links to anything that isn't in the posts dir (e.g. other posts) are left alone.
+ * Absolute because the post's own url depends on the permalink, and the content is also used in the feeds.
+ * @param {string} url - The url as written in the markdown.
+ * @param {string} relDir - Sub-dir of the post within the posts dir.
+ * @param {string[]} assetPaths - Paths of the files in the posts dir that aren't posts, relative to it.
+ * @param {{}} site - Site config, for the baseUrl and posts output dir.
+ * @param {string[]} found - Paths of the files linked so far, the file is added if the url is rewritten.
+ * @return {string} - The url to use.
+ */
+function rewritePostAssetUrl(url, relDir, assetPaths, site, found) {
+    if (/^([a-z][a-z0-9+.-]*:|\/|#)/i.test(url)) return url;
+    let [, target, suffix] = /^([^?#]*)(.*)$/.exec(url);
+    try {
+        target = decodeURI(target);
+    } catch (err) {
+        return url;
+    }
+    let relPath = path.posix.join(relDir, target);
+    if (assetPaths.indexOf(relPath) == -1) return url;
+    if (found.indexOf(relPath) == -1) found.push(relPath);
+    return postAssetUrl(site, relPath) + suffix;
+}
+
+/**
+ * The url of the copy of a file from the posts dir.
+ * @param {{}} site - Site config, for the baseUrl and posts output dir.
+ * @param {string} relPath - Path of the file relative to the posts dir.
+ * @return {string} - The full url.
+ */
+function postAssetUrl(site, relPath) {
+    return `${site.baseUrl}/${path.posix.join(site.outputDir.dirs.posts, encodeURI(relPath))}`;
+}
+
+/**
+ * Extracts title and date from filename (YYYY-MM-DD_Title.md), makes the url from the permalink pattern.
+ * The front matter title, date, slug and permalink take priority over the filename and config.
  * @param {Post} post - The post that will have properties added.
+ * @param {{}} site - Site config, for the permalink pattern and slug rules.
+ * @param {Date} now - Time of the build, for post.scheduled.
  * @param {boolean} debug - Debug mode on, activates verbose output.
  * @returns {void}
  */
-function setPostDateTitleInfo(post, debug) {
+function setPostDateTitleInfo(post, site, now, debug) {
     let info = path.parse(post.filePath);
     post.file = info;
-    let div = info.name.indexOf('_');
-    let dateStr = info.name.slice(0, div);
-    post.date = new Date(dateStr);
-    post.title = info.name.slice(div + 1);
-    // Urls are not fun with spaces or commas.
-    let spacesReplaced = info.name.replace(/[\s.]/g, '-');
-    // This replace is very custom to my web-log.
-    let sharpReplaced = spacesReplaced.replace(/#/g, 'Sharp');
-    let badWebUrlCharsRemoved = sharpReplaced.replace(/[£$%^&()+=,\[\]]/g, '');
-    debug && console.log(badWebUrlCharsRemoved);
-    post.urlName = badWebUrlCharsRemoved + '.html';
-}
+    let nameParts = /^(\d{4}-\d{2}-\d{2})_(.*)$/.exec(info.name);
 
+    // Front matter dates can have a time and timezone, e.g. 2017-04-01T09:30:00+01:00.
+    let dateStr = post.date || nameParts && nameParts[1];
+    if (!dateStr) {
+        throw new errors.PostError(`${post.filePath}: No date, name the file YYYY-MM-DD_Title.md or set a date in ` +
+            'the front matter.', {file: post.filePath});
+    }
+    post.date = dateStr instanceof Date ? dateStr : new Date(dateStr);
+    if (isNaN(post.date)) {
+        throw new errors.PostError(`${post.filePath}: Invalid post date '${dateStr}'.`, {file: post.filePath});
+    }
+    post.title = String(post.title || (nameParts ? nameParts[2] : info.name));
+    if (post.updated) {
+        let updatedStr = post.updated;
+        post.updated = updatedStr instanceof Date ? updatedStr : new Date(updatedStr);
+        if (isNaN(post.updated)) {
+            throw new errors.PostError(`${post.filePath}: Invalid updated date '${updatedStr}'.`,
+                {file: post.filePath});
+        }
+    }
 
+    // The permalink date is the date as written, so that the timezone doesn't move it to another day.
+    let written = /^(\d{4})-(\d{2})-(\d{2})/.exec(typeof dateStr == 'string' ? dateStr : '');
+    // A date without a time is parsed as midnight UTC, but it is published once the day starts where the site is
+    // built, the same day that `t3hpub new` names the post with.
+    let dayOnly = written && written[0] == dateStr.trim();
+    post.scheduled = dayOnly ? written[0] > localDate(now) : post.date > now;
+    let slug = post.slug ? String(post.slug) : urls.toUrlName(post.title, site.slug);
+    let urlName = urls.expandPermalink(post.permalink || site.permalink || urls.DEFAULT_PERMALINK, {
+        year: written ? written[1] : String(post.date.getUTCFullYear()),
+        month: written ? written[2] : ('0' + (post.date.getUTCMonth() + 1)).slice(-2),
+        day: written ? written[3] : ('0' + post.date.getUTCDate()).slice(-2),
+        slug: slug,
+        name: urls.toUrlName(info.name, site.slug),
+        dir: post.relDir
+    });
+    debug && console.log(urlName);
+    post.slug = slug;
+    post.urlName = urlName;
+}
@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 'use strict';
 
-const pub = require('./pub');
-
-pub.publish();
\ No newline at end of file
+require('./cli').run(process.argv.slice(2)).then((code) => {
+    // Not process.exit, the serve command keeps running.
+    process.exitCode = code;
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Builds the JSON index searched in the browser by src/client/search.js.
+ *
+ * The index is inverted, each stemmed term maps to the posts that have it, so its size grows with the vocabulary
+ * rather than the length of the posts. Titles and tags are weighted above the description and the text.
+ */
+
+const client = require('./client/search');
+
+const DEFAULT_SEARCH_CONFIG = {
+    template: 'search',
+    fileName: 'search.html',
+    indexFileName: 'search.json',
+    summariesOnly: false
+};
+const WEIGHTS = {
+    title: 5,
+    tags: 4,
+    description: 2,
+    text: 1
+};
+
+module.exports.buildIndex = buildIndex;
+module.exports.plugin = plugin;
+module.exports.htmlToText = htmlToText;
+module.exports.SCRIPT_PATH = require.resolve('./client/search');
+module.exports.DEFAULT_SEARCH_CONFIG = DEFAULT_SEARCH_CONFIG;
+
+
+/**
+ * The build step that adds the search index to the outputs, if the site has a search config.
+ * @return {{}} - Hooks, see plugins.js.
+ */
+function plugin() {
+    return {
+        name: 'search',
+        beforeWrite: (ctx) => {
+            if (!ctx.site.search) return;
+            let conf = Object.assign({}, DEFAULT_SEARCH_CONFIG, ctx.site.search);
+            ctx.outputs.push({
+                dir: ctx.site.outputDir.full.content,
+                fileName: conf.indexFileName,
+                data: buildIndex(ctx.site, ctx.posts)
+            });
+        }
+    };
+}
+
+/**
+ * Builds the index of the posts.
+ * @param {{}} site - Site config, site.search.summariesOnly indexes the description or first paragraph instead of
+ * the whole post.
+ * @param {Post[]} posts - The posts, must have their converted markdown in post.content.
+ * @return {string} - The index JSON {docs, terms}, docs are {title, url, date, description, tags} and terms map each
+ * term to a flat list of doc index and score pairs.
+ */
+function buildIndex(site, posts) {
+    let conf = Object.assign({}, DEFAULT_SEARCH_CONFIG, site.search);
+    let terms = {};
+    let sorted = posts.slice().sort((a, b) => b.date - a.date);
+    let docs = sorted.map((post, doc) => {
+        let scores = {};
+        let add = (text, weight) => {
+            client.tokenise(text).forEach((term) => {
+                scores[term] = (scores[term] || 0) + weight;
+            });
+        };
+        let html = post.content || '';
+        if (conf.summariesOnly) {
+            let firstPara = /<p>[\s\S]*?<\/p>/.exec(html);
+            html = post.description ? '' : firstPara ? firstPara[0] : '';
+        }
+        add(post.title, WEIGHTS.title);
+        add((post.tags || []).join(' '), WEIGHTS.tags);
+        add(post.description || '', WEIGHTS.description);
+        add(htmlToText(html), WEIGHTS.text);
+        Object.keys(scores).forEach((term) => {
+            // hasOwnProperty because terms like 'constructor' are on every object.
+            if (!Object.prototype.hasOwnProperty.call(terms, term)) terms[term] = [];
+            terms[term].push(doc, scores[term]);
+        });
+        return {
+            title: post.title,
+            url: `${site.baseUrl}/${post.url.split('\\').join('/')}`,
+            date: post.date.toISOString().slice(0, 10),
+            description: post.description || '',
+            tags: post.tags || []
+        };
+    });
+    return JSON.stringify({docs: docs, terms: terms});
+}
+
+/**
+ * Strips the tags from HTML, leaving the text.
+ * @param {string} html - The HTML, e.g. from md.convert.
+ * @return {string} - Plain text.
+ */
+function htmlToText(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, '\'')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
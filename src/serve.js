@@ -0,0 +1,273 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Local preview server, builds into the testDir, serves it and rebuilds when the input changes.
+ * Open pages are told to reload through a server-sent event stream injected into every HTML page.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const pub = require('./pub');
+const files = require('./files');
+const html = require('./html');
+
+const DEFAULT_PORT = 8080;
+const EVENTS_PATH = '/__t3hpub/events';
+// Wait for editors to finish writing (they often write several times) before rebuilding.
+const REBUILD_DELAY = 100;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+module.exports.serve = serve;
+module.exports.DEFAULT_PORT = DEFAULT_PORT;
+
+
+/**
+ * @typedef {Object} ServeState
+ * @property {Error} error - Error from the last build, null if it succeeded.
+ * @property {Promise} building - The build in progress, null when idle.
+ * @property {boolean} pending - True if the input changed during the build in progress.
+ * @property {http.ServerResponse[]} clients - Open event streams of the pages being viewed.
+ */
+
+/**
+ * @typedef {Object} ServeOptions
+ * @property {string} [config] - Path of the config file, defaults to config.json in the current dir.
+ * @property {string} [env] - Config overlay to merge over the config, defaults to 'test', see pub.readConfig.
+ * @property {number} [port] - Port to serve on, defaults to 8080.
+ * @property {boolean} [debug] - True enables debug output.
+ */
+
+/**
+ * Builds the site in test mode with a http baseUrl, serves it and rebuilds on changes to the input dirs.
+ * @param {ServeOptions} [options] - What to serve and where.
+ * @return {Promise} - Resolves once the server is listening, rejects if the config cannot be read or the first build
+ * fails before the input dirs are resolved.
+ */
+function serve(options) {
+    options = options || {};
+    let port = options.port || DEFAULT_PORT;
+    let debug = !!options.debug;
+    let state = {error: null, building: null, pending: false, clients: []};
+
+    return pub.readConfig(options.config, options.env || 'test').then((site) => {
+        // Same as test mode except that the links point at the server instead of the file system.
+        site.baseUrl = `http://localhost:${port}`;
+        site.outputDir.dir = site.testDir;
+        site.drafts = true;
+        let root = path.resolve(site.testDir);
+
+        // The first build resolves site.inputDir.full, which is needed for watching.
+        return build(site, debug, state).then(() => {
+            // Nothing to watch if it failed before that, e.g. a plugin that cannot be loaded.
+            if (!site.inputDir.full) throw state.error;
+            let server = http.createServer((req, res) => {
+                handleRequest(req, res, root, state);
+            });
+            return new Promise((resolve, reject) => {
+                server.on('error', reject);
+                server.listen(port, () => {
+                    console.log(`Serving ${root} at ${site.baseUrl}/`);
+                    watchDirs(site.inputDir.full, debug, () => {
+                        build(site, debug, state);
+                    }).then(() => {
+                        resolve(server);
+                    }, reject);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Builds the site, queuing another build if one is already running. Errors are kept for the overlay, never thrown.
+ * @param {{}} site - Site config.
+ * @param {boolean} debug - True enables debug output.
+ * @param {ServeState} state - Shared server state.
+ * @return {Promise} - Resolves when this build (and any build queued during it) is done.
+ */
+function build(site, debug, state) {
+    if (state.building) {
+        state.pending = true;
+        return state.building;
+    }
+    console.log('Building ...');
+    state.building = pub.buildSite(site, debug, true).then(() => {
+        state.error = null;
+        console.log('... build complete.');
+    }, (err) => {
+        state.error = err;
+        console.log('Build failed:');
+        console.log(err);
+    }).then(() => {
+        state.building = null;
+        notifyClients(state);
+        if (state.pending) {
+            state.pending = false;
+            return build(site, debug, state);
+        }
+    });
+    return state.building;
+}
+
+/**
+ * Watches each of the dirs and their sub-dirs, calls onChange once things settle after a change.
+ * Sub-dirs created after this are not watched until the server is restarted.
+ * @param {{}} dirs - Map of name to dir path, e.g. site.inputDir.full.
+ * @param {boolean} debug - True enables debug output.
+ * @param {function} onChange - Called with no args after a change.
+ * @return {Promise} - Resolves once everything is being watched.
+ */
+function watchDirs(dirs, debug, onChange) {
+    let timer = null;
+    let watched = [];
+    return Promise.all(Object.keys(dirs).map((key) => files.listDirsRecursive(dirs[key]))).then((nested) => {
+        [].concat(...nested).forEach((dir) => {
+            // Input dirs may be nested in each other, e.g. content as './'.
+            if (watched.indexOf(dir) != -1) return;
+            watched.push(dir);
+            let changed = () => {
+                clearTimeout(timer);
+                timer = setTimeout(onChange, REBUILD_DELAY);
+            };
+            let watcher = fs.watch(dir, (event, fileName) => {
+                debug && console.log(`${event}: ${path.join(dir, fileName || '')}`);
+                changed();
+            });
+            // Deleting a watched dir errors on some systems, it is no longer watched but the server carries on.
+            watcher.on('error', (err) => {
+                debug && console.log(`stopped watching ${dir}: ${err.message}`);
+                watcher.close();
+                changed();
+            });
+        });
+    });
+}
+
+/**
+ * Tells every open page to reload.
+ * @param {ServeState} state - Shared server state.
+ * @return {void}
+ */
+function notifyClients(state) {
+    state.clients.forEach((res) => {
+        res.write('data: reload\n\n');
+    });
+}
+
+/**
+ * Serves a file from the root, the event stream, or a 404 page. HTML gets the reload script and error overlay.
+ * @param {http.IncomingMessage} req - Request.
+ * @param {http.ServerResponse} res - Response.
+ * @param {string} root - Resolved dir being served.
+ * @param {ServeState} state - Shared server state.
+ * @return {void}
+ */
+function handleRequest(req, res, root, state) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    if (urlPath == EVENTS_PATH) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('\n');
+        state.clients.push(res);
+        req.on('close', () => {
+            state.clients.splice(state.clients.indexOf(res), 1);
+        });
+        return;
+    }
+
+    let filePath = path.join(root, urlPath);
+    if (filePath != root && !filePath.startsWith(root + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.stat(filePath, (err, stats) => {
+        if (!err && stats.isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        fs.readFile(filePath, (err, data) => {
+            if (err) {
+                let page = `<!doctype html><html><body><h1>404</h1><p>${html.escapeHtml(urlPath)}</p></body></html>`;
+                res.writeHead(404, {'Content-Type': MIME_TYPES['.html']});
+                res.end(injectClient(page, state.error));
+                return;
+            }
+            let ext = path.extname(filePath).toLowerCase();
+            let type = MIME_TYPES[ext] || 'application/octet-stream';
+            if (ext == '.html') {
+                data = injectClient(data.toString(), state.error);
+            }
+            res.writeHead(200, {'Content-Type': type, 'Cache-Control': 'no-cache'});
+            res.end(data);
+        });
+    });
+}
+
+/**
+ * Adds the live reload script, and an overlay showing the build error if there is one, to a HTML page.
+ * @param {string} page - The page.
+ * @param {Error} error - The last build error or null.
+ * @return {string} - The page with the extras inserted before the closing body tag.
+ */
+function injectClient(page, error) {
+    let extra = '<script>(function () {' +
+        `var events = new EventSource('${EVENTS_PATH}');` +
+        'events.onmessage = function (e) { if (e.data == \'reload\') location.reload(); };' +
+        '})();</script>';
+    if (error) {
+        extra += '<div id="t3hpub-error" style="position:fixed;top:0;left:0;right:0;bottom:0;z-index:99999;' +
+            'overflow:auto;margin:0;padding:2em;background:rgba(20,0,0,0.92);color:#fcc;font-family:monospace;">' +
+            '<h2 style="color:#f66;">Build failed</h2>' +
+            `<pre style="white-space:pre-wrap;">${html.escapeHtml(error.message || String(error))}</pre></div>`;
+    }
+    let bodyEnd = page.lastIndexOf('</body>');
+    if (bodyEnd == -1) return page + extra;
+    return page.slice(0, bodyEnd) + extra + page.slice(bodyEnd);
+}
@@ -0,0 +1,124 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Generates the sitemap.xml and robots.txt that tell search engines about the site.
+ */
+
+const feed = require('./feed');
+
+module.exports.generate = generate;
+module.exports.plugin = plugin;
+
+
+/**
+ * Generates the sitemap and robots.txt enabled in the config, the site.sitemap and site.robots sections.
+ * Leave out either section to skip that file.
+ * @param {{}} site - Site config.
+ * @param {{}[]} entries - The pages to list {url, lastmod}, url is relative to the baseUrl and lastmod is optional.
+ * @return {{}[]} - List of {fileName, data}.
+ */
+function generate(site, entries) {
+    let outputs = [];
+    if (site.sitemap) {
+        outputs.push({fileName: site.sitemap.fileName || 'sitemap.xml', data: renderSitemap(site, entries)});
+    }
+    if (site.robots) {
+        outputs.push({fileName: site.robots.fileName || 'robots.txt', data: renderRobots(site)});
+    }
+    return outputs;
+}
+
+/**
+ * The build step that adds the sitemap and robots.txt to the outputs, listing every page output that isn't noindex.
+ * Should run after anything else that adds pages.
+ * @return {{}} - Hooks, see plugins.js.
+ */
+function plugin() {
+    return {
+        name: 'sitemap',
+        beforeWrite: (ctx) => {
+            let entries = [];
+            ctx.outputs.forEach((output) => {
+                if (!output.page || output.page.noindex) return;
+                entries.push({url: output.page.url, lastmod: output.page.lastmod});
+            });
+            generate(ctx.site, entries).forEach((item) => {
+                ctx.outputs.push({dir: ctx.site.outputDir.dir, fileName: item.fileName, data: item.data});
+            });
+        }
+    };
+}
+
+/**
+ * Renders the sitemap, sorted by url so that it only changes when the pages do.
+ * @param {{}} site - Site config.
+ * @param {{}[]} entries - The pages {url, lastmod}.
+ * @return {string} - The sitemap XML.
+ */
+function renderSitemap(site, entries) {
+    let lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    ];
+    entries.map((entry) => {
+        return {loc: absoluteUrl(site, entry.url), lastmod: entry.lastmod};
+    }).sort((a, b) => a.loc < b.loc ? -1 : a.loc > b.loc ? 1 : 0).forEach((entry) => {
+        lines.push('<url>', `<loc>${feed.escapeXml(entry.loc)}</loc>`);
+        if (entry.lastmod) lines.push(`<lastmod>${entry.lastmod.toISOString()}</lastmod>`);
+        lines.push('</url>');
+    });
+    lines.push('</urlset>', '');
+    return lines.join('\n');
+}
+
+/**
+ * Renders robots.txt, pointing at the sitemap if there is one.
+ * @param {{}} site - Site config, site.robots has the userAgent and a list of paths to disallow.
+ * @return {string} - The robots.txt.
+ */
+function renderRobots(site) {
+    let disallow = site.robots.disallow || [];
+    let lines = [`User-agent: ${site.robots.userAgent || '*'}`];
+    if (disallow.length == 0) {
+        // An empty Disallow allows everything.
+        lines.push('Disallow:');
+    }
+    disallow.forEach((rule) => {
+        lines.push(`Disallow: ${rule}`);
+    });
+    if (site.sitemap) {
+        lines.push('', `Sitemap: ${absoluteUrl(site, site.sitemap.fileName || 'sitemap.xml')}`);
+    }
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Full url of a page, index.html is left off like the canonical links.
+ * @param {{}} site - Site config.
+ * @param {string} url - Url relative to the baseUrl.
+ * @return {string} - The full url.
+ */
+function absoluteUrl(site, url) {
+    let urlPath = url.split('\\').join('/').replace(/^(\.\/)+/, '').replace(/(^|\/)index\.html$/, '$1');
+    return `${site.baseUrl}/${encodeURI(urlPath)}`;
+}
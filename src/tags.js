@@ -0,0 +1,125 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Groups posts by their tags and category front matter.
+ */
+
+const urls = require('./urls');
+const buildCache = require('./cache');
+const errors = require('./errors');
+
+module.exports.normalise = normalise;
+module.exports.collect = collect;
+
+
+/**
+ * @typedef {Object} Tag
+ * @property {string} name - The tag (or category) as written in the front matter.
+ * @property {string} [urlName] - Url friendly file name of the tag page, e.g. 'CSharp.html'. Not set for categories.
+ * @property {string} [url] - Link to the tag page relative to the baseUrl. Not set for categories.
+ * @property {Post[]} posts - Posts with this tag, in the same order as the posts list.
+ */
+
+/**
+ * @typedef {Object} TagInfo
+ * @property {Object.<string, Tag>} tags - Map of tag name to Tag, in name order.
+ * @property {Object.<string, Tag>} categories - Map of category name to Tag, in name order.
+ * @property {string} key - Hash of which posts have which tags, for the build cache.
+ */
+
+/**
+ * Tidies up the tags and category front matter of a post.
+ * Tags may be written as a list or a comma separated string, post.tags is always a list afterwards.
+ * @param {Post} post - Post with its front matter loaded.
+ * @return {void}
+ */
+function normalise(post) {
+    let tags = post.tags || [];
+    if (typeof tags == 'string') tags = tags.split(',');
+    post.tags = tags.map((tag) => String(tag).trim()).filter((tag) => tag.length > 0);
+    if (post.category !== undefined) {
+        post.category = String(post.category).trim() || undefined;
+    }
+}
+
+/**
+ * Builds the tag and category maps from the posts.
+ * @param {Post[]} posts - All the posts, already normalised.
+ * @param {string} linkDir - Output dir of the tag pages, for the tag urls.
+ * @param {SlugRules} [slugRules] - Slug rules from the config, for the tag page names.
+ * @return {TagInfo} - The maps.
+ * @throws {PostError} - If two tags get the same page name, naming both tags and a post with the second.
+ */
+function collect(posts, linkDir, slugRules) {
+    let tags = group(posts, (post) => post.tags, linkDir, slugRules);
+    // Categories only group the posts, they don't get pages.
+    let categories = group(posts, (post) => post.category ? [post.category] : [], null, slugRules);
+    let membership = Object.keys(tags).map((name) => {
+        return name + ':' + tags[name].posts.map((post) => post.filePath).join(',');
+    });
+    return {
+        tags: tags,
+        categories: categories,
+        key: buildCache.hash(...membership, ...Object.keys(categories))
+    };
+}
+
+/**
+ * Groups the posts by the names returned by getNames.
+ * @param {Post[]} posts - All the posts.
+ * @param {function} getNames - Returns the list of names for a post.
+ * @param {string} linkDir - Output dir of the pages, for the urls. Null if there are no pages.
+ * @param {SlugRules} [slugRules] - Slug rules from the config, for the page names.
+ * @return {Object.<string, Tag>} - Map of name to Tag, in name order.
+ * @throws {PostError} - If two names get the same page name, e.g. 'C++' and 'C' with the default slug rules.
+ */
+function group(posts, getNames, linkDir, slugRules) {
+    let groups = {};
+    // Page name to tag name, two tags with the same page would overwrite each other.
+    let pages = {};
+    posts.forEach((post) => {
+        getNames(post).forEach((name) => {
+            if (!groups[name]) {
+                groups[name] = {name: name, posts: []};
+                if (linkDir !== null) {
+                    let urlName = urls.toUrlName(name, slugRules) + '.html';
+                    if (pages[urlName]) {
+                        throw new errors.PostError(`${post.filePath}: Tag '${name}' has the same page as tag ` +
+                            `'${pages[urlName]}' (${urlName}), rename one of them or change the slug rules.`, {
+                            file: post.filePath
+                        });
+                    }
+                    pages[urlName] = name;
+                    groups[name].urlName = urlName;
+                    groups[name].url = `${linkDir}/${urlName}`;
+                }
+            }
+            groups[name].posts.push(post);
+        });
+    });
+
+    let sorted = {};
+    Object.keys(groups).sort((a, b) => a.localeCompare(b)).forEach((name) => {
+        sorted[name] = groups[name];
+    });
+    return sorted;
+}
@@ -0,0 +1,88 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Helpers for turning names into parts of urls.
+ */
+
+// The rules of my web-log, each is [regex, replacement] and they are applied in order.
+const DEFAULT_SLUG_RULES = {
+    lowercase: false,
+    replace: [
+        // Urls are not fun with spaces or commas.
+        ['[\\s.]', '-'],
+        // This replace is very custom to my web-log.
+        ['#', 'Sharp'],
+        ['[£$%^&()+=,\\[\\]]', '']
+    ]
+};
+// Gives the same urls as the original file name based urls, e.g. 2016-09-26_Test-Post.html.
+const DEFAULT_PERMALINK = ':dir/:year-:month-:day_:slug.html';
+const PERMALINK_TOKENS = ['dir', 'year', 'month', 'day', 'slug', 'name'];
+
+module.exports.toUrlName = toUrlName;
+module.exports.expandPermalink = expandPermalink;
+module.exports.DEFAULT_SLUG_RULES = DEFAULT_SLUG_RULES;
+module.exports.DEFAULT_PERMALINK = DEFAULT_PERMALINK;
+
+
+/**
+ * @typedef {Object} SlugRules
+ * @property {boolean} lowercase - True to lowercase the name before the replacements.
+ * @property {string[][]} replace - List of [regex, replacement], applied globally in order.
+ */
+
+/**
+ * Makes a name safe for use as a file name in a url, used for posts and tags.
+ * @param {string} name - Name, e.g. a post title.
+ * @param {SlugRules} [rules] - Slug rules from the config, defaults to DEFAULT_SLUG_RULES.
+ * @return {string} - Url friendly name, without any extension.
+ */
+function toUrlName(name, rules) {
+    rules = rules || DEFAULT_SLUG_RULES;
+    let slug = rules.lowercase ? name.toLowerCase() : name;
+    (rules.replace || []).forEach(([pattern, replacement]) => {
+        slug = slug.replace(new RegExp(pattern, 'g'), replacement);
+    });
+    return slug;
+}
+
+/**
+ * Fills in a permalink pattern, e.g. ':year/:month/:slug/index.html'.
+ * Tokens are :dir (the sub-dir of the posts dir), :year, :month, :day, :slug and :name (the url friendly file name).
+ * A trailing / means /index.html.
+ * @param {string} pattern - The pattern.
+ * @param {{}} values - Values of the tokens.
+ * @return {string} - File path of the post relative to the posts output dir.
+ * @throws {Error} - If the pattern has an unknown token.
+ */
+function expandPermalink(pattern, values) {
+    let expanded = pattern.replace(/:([a-z]+)/g, (match, token) => {
+        if (PERMALINK_TOKENS.indexOf(token) == -1) {
+            throw new Error(`Unknown token '${match}' in permalink '${pattern}', use one of ` +
+                PERMALINK_TOKENS.map((e) => ':' + e).join(', ') + '.');
+        }
+        return values[token];
+    });
+    if (expanded.endsWith('/')) expanded += 'index.html';
+    // An empty :dir leaves extra slashes.
+    return expanded.replace(/\/{2,}/g, '/').replace(/^\/+/, '');
+}
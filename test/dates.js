@@ -0,0 +1,56 @@
+'use strict';
+
+/*
+ * Copyright 2017 t3hmun (Manish Parekh)
+ *
+ * This file is part of t3h-static-site-generator.
+ *
+ *     t3h-static-site-generator is free software: you can redistribute it
+ * and/or modify it under the terms of the GNU General Public License as
+ * published by the Free Software Foundation, either version 3 of the License,
+ * or (at your option) any later version.
+ *
+ *     t3h-static-site-generator is distributed in the hope that it will be
+ * useful, but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the GNU General
+ * Public License for more details.
+ *
+ *     You should have received a copy of the GNU General Public License along
+ * with t3h-static-site-generator. If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Checks the date handling that depends on the timezone of the machine running the build.
+ * Run by npm test, after the test site is built.
+ */
+
+// West of UTC, where the local date of a post at midnight UTC is the day before. Set before any date is made.
+process.env.TZ = 'America/New_York';
+
+const assert = require('assert');
+const listing = require('../src/listing');
+const md = require('../src/md');
+
+let years = listing.archive([
+    {title: 'New year', date: new Date('2017-01-01')},
+    {title: 'End of the year', date: new Date('2016-12-31')}
+]);
+assert.deepStrictEqual(years.map((year) => [year.year, year.months.map((month) => month.name)]), [
+    [2017, ['January']],
+    [2016, ['December']]
+]);
+assert.strictEqual(years[0].months[0].posts[0].title, 'New year');
+
+// Front matter dates are kept as written in every format, the permalink uses the date as written.
+let frontMatter = {
+    json: '{"date": "2017-04-01T23:30:00-05:00"}\nText\n',
+    yaml: '---\ndate: 2017-04-01T23:30:00-05:00\n---\nText\n',
+    toml: '+++\ndate = 2017-04-01T23:30:00-05:00\n+++\nText\n'
+};
+Object.keys(frontMatter).forEach((format) => {
+    let res = md.extractFrontmatter(frontMatter[format]);
+    assert.strictEqual(res.format, format);
+    assert.strictEqual(res.data.date, '2017-04-01T23:30:00-05:00', `${format} date`);
+});
+
+console.log('dates ok');
@@ -2,11 +2,20 @@
 window.onload = function () {
     document.getElementById('theme-button').onclick = function () {
         let mainCssEle = document.getElementById('main-css');
-        let cssUrl = mainCssEle.getAttribute('href');
-        if(cssUrl.endsWith('dark.css'))
-            cssUrl = cssUrl.replace('dark', 'light');
-        else
-            cssUrl = cssUrl.replace('light', 'dark');
+        // The css urls are fingerprinted in production, so they come from the page rather than renaming the current one.
+        let dark = mainCssEle.getAttribute('data-dark');
+        let light = mainCssEle.getAttribute('data-light');
+        let cssUrl = mainCssEle.getAttribute('href') == dark ? light : dark;
         mainCssEle.setAttribute('href', cssUrl);
-    }
+    };
+    // Code blocks marked data-copy get a button, the line numbers are generated content so they are not copied.
+    Array.prototype.forEach.call(document.querySelectorAll('.code-block[data-copy]'), function (block) {
+        let button = document.createElement('button');
+        button.className = 'code-copy';
+        button.textContent = 'Copy';
+        button.onclick = function () {
+            navigator.clipboard.writeText(block.querySelector('code').textContent);
+        };
+        block.insertBefore(button, block.firstChild);
+    });
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+'use strict';
+
+/**
+ * Example local markdown-it plugin, opens links to other sites in a new tab.
+ * @param {MarkdownIt} md - The markdown-it instance.
+ * @param {{}} [options] - {target, rel}, attributes added to absolute http(s) links.
+ * @return {void}
+ */
+module.exports = function externalLinks(md, options) {
+    let attrs = Object.assign({target: '_blank', rel: 'noopener'}, options);
+    let render = md.renderer.rules.link_open ||
+        ((tokens, idx, opts, env, self) => self.renderToken(tokens, idx, opts));
+    md.renderer.rules.link_open = (tokens, idx, opts, env, self) => {
+        if (/^https?:\/\//.test(tokens[idx].attrGet('href') || '')) {
+            Object.keys(attrs).forEach((name) => tokens[idx].attrSet(name, attrs[name]));
+        }
+        return render(tokens, idx, opts, env, self);
+    };
+};
@@ -0,0 +1,39 @@
+'use strict';
+
+/**
+ * Example build plugin, adds a page of post statistics generated from the loaded posts.
+ * @param {{}} options - {fileName, template}.
+ * @return {{}} - The hooks.
+ */
+module.exports = function stats(options) {
+    let fileName = options.fileName || 'stats.html';
+    let template = options.template || 'stats';
+    return {
+        postsLoaded: (ctx) => {
+            // Posts can be changed before anything renders them.
+            ctx.posts.forEach((post) => {
+                post.long = post.wordCount > 1000;
+            });
+        },
+        beforeWrite: (ctx) => {
+            let published = ctx.posts.filter((post) => !post.draft);
+            let page = {
+                title: 'Stats',
+                description: 'Numbers about the posts.',
+                url: fileName
+            };
+            ctx.outputs.push({
+                dir: ctx.site.outputDir.full.content,
+                fileName: fileName,
+                data: ctx.renderTemplate(template, {
+                    page: page,
+                    stats: {
+                        posts: published.length,
+                        words: published.reduce((total, post) => total + post.wordCount, 0)
+                    }
+                }),
+                page: page
+            });
+        }
+    };
+};